@@ -0,0 +1,195 @@
+// Sign-in for The Current, behind one small interface so the app doesn't care where accounts live:
+//
+//   createFirebaseAuth(config)   Firebase Authentication, for the real site.
+//   createLocalAuth({ store })   Accounts kept in memory, or in a `store` such as localStorage, for
+//                                development, CI and offline demos. Needs no network at all.
+//
+// Both return:
+//   currentUser                      { uid, isAnonymous, getIdToken() } or null
+//   onChange(listener)               calls listener(currentUser) now and on every change; returns unsubscribe
+//   signInAnonymously()              a public visitor, on their first comment (readers comment under
+//                                    this uid); resolves to the user
+//   signInWithToken(token)           Firebase custom tokens (__initial_auth_token); local auth ignores them
+//   signIn(email, password)          resolves to the signed-in user
+//   signOut()
+//   createUser(email, password)      creates an account without signing in as it; resolves to its uid
+//   sendPasswordReset(email)         Firebase emails a reset link and resolves to null. Local auth can't
+//                                    send mail, so it sets a new temporary password and resolves to that.
+//
+// Failures are Errors with Firebase's `code`s ('auth/invalid-credential', ...), so the app shows the
+// same messages whichever backend is in use.
+
+import { initializeApp, deleteApp } from 'firebase/app';
+import {
+    getAuth, signInWithCustomToken, signInAnonymously, signInWithEmailAndPassword,
+    createUserWithEmailAndPassword, sendPasswordResetEmail, signOut, onAuthStateChanged
+} from 'firebase/auth';
+
+// --- Firebase ---
+
+export function createFirebaseAuth(config) {
+    const auth = getAuth(initializeApp(config));
+
+    return {
+        label: 'Firebase',
+        local: false,
+        get currentUser() {
+            return auth.currentUser;
+        },
+        onChange: (listener) => onAuthStateChanged(auth, listener),
+        async signInAnonymously() {
+            const credential = await signInAnonymously(auth);
+            return credential.user;
+        },
+        signInWithToken: (token) => signInWithCustomToken(auth, token),
+        async signIn(email, password) {
+            const credential = await signInWithEmailAndPassword(auth, email, password);
+            return credential.user;
+        },
+        signOut: () => signOut(auth),
+        // Creates the account on a secondary Firebase app so whoever is signed in stays signed in.
+        async createUser(email, password) {
+            const inviteApp = initializeApp(config, `staff-invite-${Date.now()}`);
+            try {
+                const credential = await createUserWithEmailAndPassword(getAuth(inviteApp), email, password);
+                return credential.user.uid;
+            } finally {
+                await deleteApp(inviteApp);
+            }
+        },
+        async sendPasswordReset(email) {
+            await sendPasswordResetEmail(auth, email);
+            return null;
+        },
+    };
+}
+
+// --- Local ---
+
+// Passwords are stored as salted PBKDF2 hashes even here, since demo databases get copied around.
+const PBKDF2_ITERATIONS = 100000;
+const MIN_PASSWORD_LENGTH = 6;
+
+function authError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+const toHex = (bytes) => Array.from(new Uint8Array(bytes), (b) => b.toString(16).padStart(2, '0')).join('');
+
+function randomHex(length) {
+    const bytes = new Uint8Array(length);
+    crypto.getRandomValues(bytes);
+    return toHex(bytes);
+}
+
+async function hashPassword(password, salt) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: new TextEncoder().encode(salt), iterations: PBKDF2_ITERATIONS },
+        key,
+        256
+    );
+    return toHex(bits);
+}
+
+// `store` is { load() -> object|null, save(object) }, e.g. a wrapper around a localStorage key; without
+// one, accounts and the session last until the page (or test) ends. `accounts` are created on first
+// use if missing: [{ uid, email, password }], e.g. a demo admin. One without a password gets a random
+// one, passed once to `onSeeded(email, password)` for the app to show; only its hash is kept.
+export function createLocalAuth({ store = null, accounts = [], onSeeded = null } = {}) {
+    // users: { [email]: { uid, salt, hash } }; session: { uid, isAnonymous } or null
+    const state = (store && store.load()) || { users: {}, session: null };
+    const listeners = new Set();
+    let currentUser = null;
+
+    const toUser = (session) => (session ? {
+        uid: session.uid,
+        isAnonymous: session.isAnonymous,
+        // Local accounts have no tokens a server could verify; pair local auth with the local database.
+        getIdToken: async () => null,
+    } : null);
+
+    const setSession = (session) => {
+        state.session = session;
+        if (store) store.save(state);
+        currentUser = toUser(session);
+        for (const listener of listeners) listener(currentUser);
+        return currentUser;
+    };
+
+    const setPassword = async (email, password) => {
+        const salt = randomHex(16);
+        state.users[email] = { ...state.users[email], salt, hash: await hashPassword(password, salt) };
+        if (store) store.save(state);
+    };
+
+    const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+    // Seed accounts before anything else can look them up.
+    const ready = (async () => {
+        for (const account of accounts) {
+            const email = normalizeEmail(account.email);
+            if (state.users[email]) continue;
+            const password = account.password || randomHex(8);
+            state.users[email] = { uid: account.uid };
+            await setPassword(email, password);
+            if (!account.password && onSeeded) onSeeded(email, password);
+        }
+        currentUser = toUser(state.session);
+    })();
+
+    return {
+        label: 'Local accounts',
+        local: true,
+        get currentUser() {
+            return currentUser;
+        },
+        onChange(listener) {
+            listeners.add(listener);
+            ready.then(() => { if (listeners.has(listener)) listener(currentUser); });
+            return () => listeners.delete(listener);
+        },
+        async signInAnonymously() {
+            await ready;
+            if (currentUser && currentUser.isAnonymous) return currentUser;
+            return setSession({ uid: `anon-${randomHex(14)}`, isAnonymous: true });
+        },
+        async signInWithToken() {
+            throw authError('auth/operation-not-allowed', 'Custom tokens need Firebase.');
+        },
+        async signIn(email, password) {
+            await ready;
+            const user = state.users[normalizeEmail(email)];
+            if (!user || await hashPassword(password, user.salt) !== user.hash) {
+                throw authError('auth/invalid-credential', 'Invalid email or password.');
+            }
+            return setSession({ uid: user.uid, isAnonymous: false });
+        },
+        async signOut() {
+            await ready;
+            setSession(null);
+        },
+        async createUser(email, password) {
+            await ready;
+            const key = normalizeEmail(email);
+            if (!/^[^@\s]+@[^@\s]+$/.test(key)) throw authError('auth/invalid-email', 'Invalid email.');
+            if (state.users[key]) throw authError('auth/email-already-in-use', 'An account with that email already exists.');
+            if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+                throw authError('auth/weak-password', `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`);
+            }
+            state.users[key] = { uid: `local-${randomHex(14)}` };
+            await setPassword(key, password);
+            return state.users[key].uid;
+        },
+        async sendPasswordReset(email) {
+            await ready;
+            const key = normalizeEmail(email);
+            if (!state.users[key]) throw authError('auth/user-not-found', 'No account with that email.');
+            const temporaryPassword = randomHex(5);
+            await setPassword(key, temporaryPassword);
+            return temporaryPassword;
+        },
+    };
+}
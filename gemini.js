@@ -1,16 +1,136 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInWithCustomToken, signInAnonymously, signOut, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, onSnapshot, increment } from 'firebase/firestore';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import initSqlJs from 'sql.js';
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+import {
+    ROLES, CATEGORIES, WORKFLOW, WRITER_EDITABLE_STATUSES, SCHEMA_VERSION, VIEW_COUNTER, HIT_COUNTER, COMMENT_MAX_LENGTH,
+    AUDIT_AREAS, ANALYTICS_RETENTION, StorageError, roleAtLeast, searchTerms, loginThrottleMessage, openStorage, createSqliteDriver, createRemoteStorage
+} from './storage.js';
+import {
+    sectionPath, articlePath, authorPath, feedPath, issuesPath, editionPath, editionLabel, placeholderImage
+} from './site.js';
+import { editionPdf, editionPdfFilename, editionPrintHtml } from './print.js';
+import { exportCsv, exportJson, exportFilename } from './reports.js';
+import { createFirebaseAuth, createLocalAuth } from './auth.js';
 
 // --- Global Variable Access (MANDATORY) ---
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// { url } of the school server's API (see server.js). Without it, data lives in a SQLite database in this
+// browser: kept in localStorage, or only until the page closes with { "memory": true } (for tests).
+// `sqlJsUrl` is where to load sql.js's wasm file from: the site's own copy by default, so nothing
+// needs the network, or e.g. "https://sql.js.org/dist" to use the CDN instead.
+const storageConfig = typeof __storage_config !== 'undefined' ? JSON.parse(__storage_config) : {};
 
-// Mock user credentials for the "Admin" account
-const MOCK_ADMIN_EMAIL = "editor@thecurrent.edu";
-const MOCK_ADMIN_PASSWORD = "password123";
+// Without a Firebase config, accounts are local to this browser (see auth.js) and this admin is
+// created so there's someone to sign in as. Its password is random and shown once, on first start.
+const LOCAL_ADMIN = { uid: 'local-admin', email: 'admin@localhost', displayName: 'Local Admin' };
+
+// Where the site serves sql.js's wasm file from unless `sqlJsUrl` says otherwise (see README).
+const SQL_JS_URL = '/vendor/sql.js';
+
+// Stories per page in the "Latest Stories" grid.
+const STORIES_PER_PAGE = 9;
+
+// How long the browser database waits after a write before saving to localStorage.
+const LOCAL_SAVE_DELAY_MS = 1000;
+
+// --- Staff Roles & Permissions ---
+
+// The minimum role required for each action. Anonymous visitors have no role and get none of these.
+const PERMISSIONS = {
+    viewDashboard: 'writer',
+    viewAnalytics: 'editor',
+    editArticles: 'writer',
+    moderateComments: 'editor',
+    manageEditions: 'editor',
+    manageStaff: 'advisor',
+    viewAuditLog: 'advisor',
+    manageReaderData: 'advisor',
+    assignAdmin: 'admin',
+};
+
+// Firebase Auth error codes that should not reveal whether an account exists.
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-credential': "Invalid email or password.",
+    'auth/invalid-email': "Invalid email or password.",
+    'auth/user-not-found': "Invalid email or password.",
+    'auth/wrong-password': "Invalid email or password.",
+    'auth/user-disabled': "This account has been deactivated. Contact the newspaper advisor.",
+    'auth/too-many-requests': "Too many attempts. Please wait a few minutes and try again.",
+    'auth/email-already-in-use': "An account with that email already exists.",
+};
+
+// Codes for a wrong email or password. These count towards sign-in throttling (storage.logins).
+const FAILED_SIGN_IN_CODES = ['auth/invalid-credential', 'auth/user-not-found', 'auth/wrong-password'];
+
+// --- Routing ---
+
+// RSS and Atom feeds are served by the school server (server.js), so a browser-local database has none.
+const feedOrigin = storageConfig.url ? new URL(storageConfig.url, window.location.href).origin : null;
+
+// Section pages, keyed by URL segment. Lifestyle has a page even though it isn't in the nav bar.
+const SECTION_PATHS = Object.fromEntries(CATEGORIES.map((category) => [category.toLowerCase(), category]));
+
+// "/search?q=volleyball&category=Sports". Empty filters are left out of the URL.
+const searchPath = ({ query, category, author, from, to } = {}) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of [['q', query], ['category', category], ['author', author], ['from', from], ['to', to]]) {
+        if (value) params.set(key, value);
+    }
+    const search = params.toString();
+    return search ? `/search?${search}` : '/search';
+};
+
+const NAV_LINKS = [
+    ['Home', '/'], ['News', sectionPath('News')], ['Sports', sectionPath('Sports')], ['Opinion', sectionPath('Opinion')], ['Issues', issuesPath],
+];
+
+// Maps a pathname (and, for search, the query string) to the page to render,
+// e.g. "/article/volleyball" -> { page: 'article', slug: 'volleyball' }.
+function parseRoute(pathname, search = '') {
+    let segments;
+    try {
+        segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        return { page: 'notFound' }; // Malformed escape sequence in the URL
+    }
+
+    if (segments.length === 0) return { page: 'home' };
+    if (segments.length === 1 && SECTION_PATHS[segments[0].toLowerCase()]) {
+        return { page: 'section', category: SECTION_PATHS[segments[0].toLowerCase()] };
+    }
+    if (segments.length === 2 && segments[0] === 'article') return { page: 'article', slug: segments[1] };
+    if (segments.length === 2 && segments[0] === 'author') return { page: 'author', name: segments[1] };
+    if (`/${segments[0]}` === issuesPath) {
+        if (segments.length === 1) return { page: 'issues' };
+        if (segments.length === 3 && /^\d+$/.test(segments[1]) && /^\d+$/.test(segments[2])) {
+            return { page: 'edition', volume: Number(segments[1]), issue: Number(segments[2]) };
+        }
+    }
+    if (segments.length === 1 && segments[0] === 'search') {
+        const params = new URLSearchParams(search);
+        const day = (key) => (/^\d{4}-\d{2}-\d{2}$/.test(params.get(key) || '') ? params.get(key) : '');
+        return {
+            page: 'search',
+            query: params.get('q') || '',
+            category: CATEGORIES.includes(params.get('category')) ? params.get('category') : '',
+            author: params.get('author') || '',
+            from: day('from'),
+            to: day('to'),
+        };
+    }
+    return { page: 'notFound' };
+}
+
+// Pushes a new history entry and tells App to re-render for it (App listens for popstate).
+function navigate(path) {
+    if (path === window.location.pathname + window.location.search) return;
+    window.history.pushState({}, '', path);
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    window.scrollTo(0, 0);
+}
 
 // --- Utility Functions ---
 
@@ -32,234 +152,374 @@ function showToast(message, isError = false) {
     }, 3000);
 }
 
-// --- Main Application Component ---
+// Returns true if `role` is at least as privileged as the role required for `permission`.
+// Roles are ordered in storage.js; a role has every permission granted to the roles before it.
+function hasPermission(role, permission) {
+    const required = PERMISSIONS[permission];
+    return !!required && roleAtLeast(role, required);
+}
 
-const App = () => {
-    const [db, setDb] = useState(null);
-    const [auth, setAuth] = useState(null);
-    const [userId, setUserId] = useState(null);
-    const [isAuthReady, setIsAuthReady] = useState(false);
-    const [viewCount, setViewCount] = useState(0);
-    const [loginEmail, setLoginEmail] = useState('');
-    const [loginPassword, setLoginPassword] = useState('');
-    const [isLoggingIn, setIsLoggingIn] = useState(false);
-    const [showLogin, setShowLogin] = useState(false);
+function formatDate(isoString) {
+    return isoString ? new Date(isoString).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' }) : '';
+}
 
-    // Firestore Path for Public Analytics Counter
-    const analyticsDocPath = useMemo(() => 
-        db ? doc(db, `/artifacts/${appId}/public/data/analytics/olhs_current_views`) : null, 
-        [db]
-    );
+// For "YYYY-MM-DD" dates with no time, like print dates: read as local noon so no time zone moves the day.
+function formatDay(day) {
+    return day ? formatDate(`${day}T12:00:00`) : '';
+}
 
-    // 1. Initialize Firebase and Handle Authentication
-    useEffect(() => {
-        if (!firebaseConfig.apiKey) {
-            console.error("Firebase configuration missing. Cannot initialize Firestore/Auth.");
-            setIsAuthReady(true);
-            return;
-        }
+// ISO timestamp <-> the "YYYY-MM-DDTHH:mm" local time a datetime-local input expects.
+function toLocalInputValue(isoString) {
+    const date = new Date(isoString);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
 
-        const app = initializeApp(firebaseConfig);
-        const firestore = getFirestore(app);
-        const firebaseAuth = getAuth(app);
-        
-        setDb(firestore);
-        setAuth(firebaseAuth);
+// Rough device class for analytics, from the user agent. Tablets are checked first since many also say "Mobile".
+function deviceClass() {
+    const userAgent = navigator.userAgent;
+    if (/iPad|Tablet|PlayBook|Silk|Android(?!.*Mobile)/i.test(userAgent)) return 'tablet';
+    if (/Mobi|iPhone|iPod|Android|BlackBerry|IEMobile/i.test(userAgent)) return 'mobile';
+    return 'desktop';
+}
 
-        const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
-            if (user) {
-                setUserId(user.uid);
-            } else {
-                setUserId(null);
-            }
-            // Mark auth system as ready after initial check
-            setIsAuthReady(true);
-        });
+// The other site a reader arrived from (hostname only), reported on their first page view and then
+// cleared: in-app navigation doesn't change document.referrer, so later views would repeat it.
+let landingReferrer = (() => {
+    try {
+        const { hostname } = new URL(document.referrer);
+        return hostname && hostname !== window.location.hostname ? hostname : null;
+    } catch (error) {
+        return null;
+    }
+})();
 
-        // Sign in with the provided custom token or anonymously
-        const attemptAuth = async () => {
-            try {
-                if (initialAuthToken) {
-                    await signInWithCustomToken(firebaseAuth, initialAuthToken);
-                } else {
-                    await signInAnonymously(firebaseAuth);
-                }
-            } catch (error) {
-                console.error("Firebase Auth Error during initialization:", error);
-            }
-        };
+function takeLandingReferrer() {
+    const referrer = landingReferrer;
+    landingReferrer = null;
+    return referrer;
+}
 
-        attemptAuth();
+// --- Analytics Consent ---
 
-        return () => unsubscribe();
-    }, []);
+const CONSENT_KEY = `the-current-consent-${appId}`;
+const VISITOR_KEY = `the-current-visitor-${appId}`;
+const SESSION_KEY = `the-current-session-${appId}`;
+// Past visitor ids kept for data requests (see visitorIds): a year of monthly ids.
+const VISITOR_ID_HISTORY = 12;
 
-    // 2. Track Page View on Load (after auth is ready)
-    // The tracking is done only once when the component mounts and auth is ready.
-    useEffect(() => {
-        if (!isAuthReady || !analyticsDocPath) return;
+// The reader's answer to the consent banner, { choice: 'full' | 'aggregate', decidedAt }, or null
+// until they answer. Only 'full' sends the ids below; everyone else is counted in daily totals.
+function readConsent() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONSENT_KEY));
+        if (saved && ['full', 'aggregate'].includes(saved.choice)) return saved;
+    } catch (error) {
+        // Unreadable entry; ask again.
+    }
+    return null;
+}
 
-        // Function to increment the view count
-        const trackPageView = async () => {
-            try {
-                // Atomically increments the 'count' field by 1.
-                await setDoc(analyticsDocPath, { count: increment(1) }, { merge: true });
-                console.log("Page view tracked successfully.");
-            } catch (error) {
-                console.error("Error tracking page view:", error);
-            }
-        };
+function analyticsAllowed() {
+    const consent = readConsent();
+    return Boolean(consent && consent.choice === 'full');
+}
 
-        trackPageView();
-    }, [isAuthReady, analyticsDocPath]); // Runs once when auth is ready
+function readVisitor() {
+    try {
+        return JSON.parse(localStorage.getItem(VISITOR_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
 
-    // 3. Subscribe to Real-Time View Count (Analytics)
-    useEffect(() => {
-        if (!isAuthReady || !analyticsDocPath) return;
+// The current visitor id (if any) and the ones before it, newest first.
+const knownVisitorIds = (saved) => [saved.id, ...(Array.isArray(saved.previous) ? saved.previous : [])]
+    .filter(Boolean)
+    .slice(0, VISITOR_ID_HISTORY);
 
-        const unsubscribe = onSnapshot(analyticsDocPath, (docSnapshot) => {
-            if (docSnapshot.exists()) {
-                const data = docSnapshot.data();
-                setViewCount(data.count || 0);
-            } else {
-                // Document doesn't exist yet, initialize to 0
-                setViewCount(0);
-                // Optionally initialize the document if it doesn't exist
-                // setDoc(analyticsDocPath, { count: 0 }, { merge: true });
-            }
-        }, (error) => {
-            console.error("Error listening to analytics data:", error);
-        });
+// Saves the reader's choice. Saying no retires the current visitor id and drops this tab's session
+// id; past ids stay listed so the reader can still ask for that data to be deleted.
+function saveConsent(choice) {
+    const consent = { choice, decidedAt: new Date().toISOString() };
+    localStorage.setItem(CONSENT_KEY, JSON.stringify(consent));
+    if (choice !== 'full') {
+        const previous = knownVisitorIds(readVisitor());
+        if (previous.length) localStorage.setItem(VISITOR_KEY, JSON.stringify({ previous }));
+        else localStorage.removeItem(VISITOR_KEY);
+        sessionStorage.removeItem(SESSION_KEY);
+    }
+    return consent;
+}
 
-        return () => unsubscribe();
-    }, [isAuthReady, analyticsDocPath]);
+// Anonymous id used only to count unique visitors, for readers who allowed it. It is random (never
+// derived from the device or the reader) and replaced at the start of every month, so it can't
+// follow a reader long-term.
+function rotatingVisitorId() {
+    const period = new Date().toISOString().slice(0, 7);
+    const saved = readVisitor();
+    if (saved.id && saved.period === period) return saved.id;
+    const id = crypto.randomUUID();
+    localStorage.setItem(VISITOR_KEY, JSON.stringify({ id, period, previous: knownVisitorIds(saved) }));
+    return id;
+}
 
+// Every visitor id this browser has sent, newest first, for a reader (or parent) to quote when
+// asking the advisor to see or delete their data.
+function visitorIds() {
+    return knownVisitorIds(readVisitor());
+}
 
-    // --- Authentication Handlers ---
+// Per-tab session id. sessionStorage survives refreshes but not closing the tab, so the server can
+// skip repeat views of the same page within one visit.
+function browserSessionId() {
+    let id = sessionStorage.getItem(SESSION_KEY);
+    if (!id) {
+        id = crypto.randomUUID();
+        sessionStorage.setItem(SESSION_KEY, id);
+    }
+    return id;
+}
 
-    // Note: In a real app, this would involve server-side validation.
-    const handleLogin = useCallback(async (e) => {
-        e.preventDefault();
-        if (isLoggingIn || !auth) return;
+// Readers counted in aggregate have no session id, so the tab skips its own repeat views and
+// searches. Kept in memory only: a refresh starts over.
+const loggedThisTab = new Set();
 
-        if (loginEmail !== MOCK_ADMIN_EMAIL || loginPassword !== MOCK_ADMIN_PASSWORD) {
-            showToast("Invalid credentials. Use 'editor@thecurrent.edu' / 'password123'", true);
-            return;
+function seenInThisTab(key) {
+    const seen = loggedThisTab.has(key);
+    loggedThisTab.add(key);
+    return seen;
+}
+
+// Line-by-line diff of two texts: [{ type: 'same' | 'added' | 'removed', line }].
+// A plain longest-common-subsequence table; stories are short enough for O(n*m).
+function diffLines(before, after) {
+    const a = before ? before.split('\n') : [];
+    const b = after ? after.split('\n') : [];
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
         }
+    }
 
-        setIsLoggingIn(true);
-        try {
-            // For a mock admin, we just sign out the current user (likely anonymous)
-            // and then sign in a custom mock user using an actual Firebase method.
-            // Since we don't have a backend to generate a real custom token, 
-            // we will simulate the login by relying on the global token if available,
-            // otherwise, we sign in anonymously and rely on the `isLoggedIn` state.
-            // For this environment, we just use the global auth system if the user
-            // matches the mock credentials.
-            showToast("Admin login successful. (Simulation: Real authentication requires a secure backend).");
-            setShowLogin(false);
-        } catch (error) {
-            console.error("Login failed:", error);
-            showToast(`Login failed: ${error.message}`, true);
-        } finally {
-            setIsLoggingIn(false);
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ type: 'same', line: a[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            result.push({ type: 'removed', line: a[i++] });
+        } else {
+            result.push({ type: 'added', line: b[j++] });
         }
-    }, [auth, loginEmail, loginPassword, isLoggingIn]);
+    }
+    while (i < a.length) result.push({ type: 'removed', line: a[i++] });
+    while (j < b.length) result.push({ type: 'added', line: b[j++] });
+    return result;
+}
 
-    const handleSignOut = useCallback(async () => {
-        if (!auth) return;
+// A revision flattened into the text that diffLines compares.
+function revisionText(revision) {
+    return [
+        `# ${revision.title}`,
+        `By ${revision.author} | ${revision.category}`,
+        `Image: ${revision.heroImageUrl || '(none)'}`,
+        `Alt text: ${revision.heroImageAlt || '(none)'}`,
+        `Photo credit: ${revision.heroImageCredit || '(none)'}`,
+        '',
+        revision.summary,
+        '',
+        revision.body,
+    ].join('\n');
+}
+
+// Story bodies are Markdown written by staff. Sanitize the HTML anyway: a compromised or careless
+// account must not be able to put scripts on the public site.
+function renderMarkdown(markdown) {
+    return DOMPurify.sanitize(marked.parse(markdown || ''));
+}
+
+// Plain text of a Markdown story body, for search excerpts.
+function markdownText(markdown) {
+    return new DOMParser().parseFromString(renderMarkdown(markdown), 'text/html').body.textContent;
+}
+
+// True if `word` is one of the search `terms` or starts with one, the same way storage.js matches.
+function matchesSearch(word, terms) {
+    const [term] = searchTerms(word);
+    return !!term && terms.some((searched) => term.startsWith(searched));
+}
+
+// Splits `text` into plain strings and <mark>ed matches of the search `terms`.
+function highlightTerms(text, terms) {
+    if (!text || !terms || !terms.length) return text;
+    return text.split(/([\p{L}\p{N}]+)/u).map((part, index) => (
+        index % 2 === 1 && matchesSearch(part, terms)
+            ? <mark key={index} className="bg-yellow-200 text-gray-900 rounded-sm">{part}</mark>
+            : part
+    ));
+}
+
+// About `length` characters of a story around its first search hit: from the summary if it matches,
+// otherwise from the body, otherwise just the summary.
+function searchExcerpt(article, terms, length = 220) {
+    for (const text of [article.summary, markdownText(article.body)]) {
+        for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+            if (!matchesSearch(match[0], terms)) continue;
+            if (text.length <= length) return text;
+            let start = Math.max(0, Math.min(match.index - 60, text.length - length));
+            if (start > 0) start = text.indexOf(' ', start) + 1 || start; // Don't open mid-word
+            const end = start + length;
+            return `${start > 0 ? '\u2026' : ''}${text.slice(start, end).trim()}${end < text.length ? '\u2026' : ''}`;
+        }
+    }
+    return article.summary;
+}
+
+// Opens the local development database: SQLite (sql.js) kept in this browser's localStorage, or
+// in memory only when `storageConfig.memory` is set.
+async function openBrowserStorage() {
+    const storageKey = `the-current-db-${appId}`;
+    const sqlJsUrl = (storageConfig.sqlJsUrl || SQL_JS_URL).replace(/\/+$/, '');
+    const SQL = await initSqlJs({ locateFile: (file) => `${sqlJsUrl}/${file}` });
+
+    if (storageConfig.memory) {
+        const storage = await openStorage(createSqliteDriver(new SQL.Database()));
+        storage.backend = 'SQLite (in memory)';
+        return storage;
+    }
+
+    const saved = localStorage.getItem(storageKey);
+    const bytes = saved ? Uint8Array.from(atob(saved), (c) => c.charCodeAt(0)) : undefined;
+
+    // Saving copies the whole database, so writes are saved together at most once a second, and
+    // straight away when the tab is hidden or closed. If localStorage is full, the database keeps
+    // working in this tab but recent changes won't survive a reload.
+    const db = new SQL.Database(bytes);
+    let saveTimer = null;
+    let warnedFull = false;
+    const save = () => {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        const exported = db.export();
+        let binary = '';
+        for (let i = 0; i < exported.length; i++) binary += String.fromCharCode(exported[i]);
         try {
-            await signOut(auth);
-            showToast("Signed out successfully. Viewing as public.");
-            setShowLogin(false);
+            localStorage.setItem(storageKey, btoa(binary));
         } catch (error) {
-            console.error("Sign out failed:", error);
-            showToast("Sign out failed.", true);
+            console.error("Error saving the local database:", error);
+            if (!warnedFull) showToast("This browser has no room left for the local database. New changes will be lost when the page reloads.", true);
+            warnedFull = true;
         }
-    }, [auth]);
+    };
+    const saveNow = () => { if (saveTimer) save(); };
+    window.addEventListener('pagehide', saveNow);
+    document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden') saveNow(); });
 
-    // Check if the current user is "logged in" as the admin (or just checking if userId exists)
-    // For this mock, we assume any logged in state is sufficient to show the dashboard.
-    const isLoggedIn = !!userId;
-    const isAdmin = isLoggedIn; // Simplified: any logged in user is the "Admin" for this demo
+    const driver = createSqliteDriver(db, {
+        onWrite: () => { if (!saveTimer) saveTimer = setTimeout(save, LOCAL_SAVE_DELAY_MS); },
+    });
+    const storage = await openStorage(driver);
+    storage.backend = 'SQLite (this browser)';
+    return storage;
+}
 
-    // --- Components ---
+// Firebase when it's configured; otherwise local accounts, kept with the local database.
+// `onSeeded(email, password)` is called when LOCAL_ADMIN is first created.
+function openAuth(onSeeded) {
+    if (firebaseConfig.apiKey) return createFirebaseAuth(firebaseConfig);
 
-    const Header = () => (
-        <header className="bg-red-800 text-white shadow-lg sticky top-0 z-10">
-            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
-                <div className="flex-shrink-0">
-                    <h1 className="text-3xl font-extrabold tracking-tight font-serif">
-                        <span className="text-yellow-400">The Current</span>
-                        <span className="text-xl font-medium block leading-none pt-0.5">Ocean Lakes High School</span>
-                    </h1>
-                </div>
-                <nav className="hidden md:flex space-x-6 text-lg font-medium">
-                    <a href="#" className="hover:text-yellow-400 transition duration-150">Home</a>
-                    <a href="#" className="hover:text-yellow-400 transition duration-150">News</a>
-                    <a href="#" className="hover:text-yellow-400 transition duration-150">Sports</a>
-                    <a href="#" className="hover:text-yellow-400 transition duration-150">Opinion</a>
-                </nav>
-                <div className="flex items-center space-x-3">
-                    {isAdmin ? (
-                        <>
-                            <span className="text-sm hidden sm:inline">Admin ID: {userId.substring(0, 8)}...</span>
-                            <button
-                                onClick={handleSignOut}
-                                className="px-4 py-2 bg-yellow-500 text-red-800 font-semibold rounded-lg shadow hover:bg-yellow-400 transition duration-200 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-offset-2 focus:ring-offset-red-800"
-                            >
-                                Sign Out
-                            </button>
-                        </>
-                    ) : (
-                        <button
-                            onClick={() => setShowLogin(true)}
-                            className="px-4 py-2 bg-yellow-500 text-red-800 font-semibold rounded-lg shadow hover:bg-yellow-400 transition duration-200 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-offset-2 focus:ring-offset-red-800"
-                        >
-                            Editor Login
-                        </button>
-                    )}
-                </div>
-            </div>
-            {/* Mobile Nav */}
-            <div className="md:hidden flex justify-around text-sm py-2 bg-red-700">
-                <a href="#" className="hover:text-yellow-400 transition duration-150">Home</a>
-                <a href="#" className="hover:text-yellow-400 transition duration-150">News</a>
-                <a href="#" className="hover:text-yellow-400 transition duration-150">Sports</a>
-                <a href="#" className="hover:text-yellow-400 transition duration-150">Opinion</a>
-            </div>
-        </header>
-    );
+    console.info("Firebase configuration missing. Using local accounts in this browser.");
+    const storageKey = `the-current-auth-${appId}`;
+    const store = storageConfig.memory ? null : {
+        load: () => JSON.parse(localStorage.getItem(storageKey) || 'null'),
+        save: (state) => localStorage.setItem(storageKey, JSON.stringify(state)),
+    };
+    return createLocalAuth({ store, accounts: [LOCAL_ADMIN], onSeeded });
+}
+
+// Gives LOCAL_ADMIN a staff profile the first time a local database is used with local accounts.
+async function ensureLocalAdmin(storage) {
+    if (storage.remote || await storage.staff.get(LOCAL_ADMIN.uid)) return;
+    await storage.staff.save(LOCAL_ADMIN.uid, {
+        email: LOCAL_ADMIN.email,
+        displayName: LOCAL_ADMIN.displayName,
+        role: 'admin',
+    });
+}
+
+// Generates a throwaway password for newly invited accounts. Invitees never see it;
+// they choose their own through the password reset email.
+function generateTemporaryPassword() {
+    const bytes = new Uint8Array(24);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// This tab's staff session, { uid, id }, so a reload doesn't lose it. sessionStorage keeps it to
+// the tab: a new tab or window signs in (and gets its own session) again.
+const STAFF_SESSION_KEY = `the-current-staff-session-${appId}`;
+
+function readStaffSession() {
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(STAFF_SESSION_KEY));
+        if (saved && saved.uid && saved.id) return saved;
+    } catch (error) {
+        // Unreadable entry; sign in again.
+    }
+    return null;
+}
+
+function saveStaffSession(session) {
+    if (session) sessionStorage.setItem(STAFF_SESSION_KEY, JSON.stringify(session));
+    else sessionStorage.removeItem(STAFF_SESSION_KEY);
+}
 
-    const LoginPage = () => (
+// --- Staff Components ---
+
+const LoginPage = ({ onSubmit, onCancel, isLoggingIn }) => {
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSubmit(email, password);
+    };
+
+    return (
         <div className="fixed inset-0 bg-gray-900 bg-opacity-75 z-20 flex items-center justify-center p-4">
             <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-md">
                 <h2 className="text-2xl font-bold mb-6 text-red-800">Editor Login</h2>
-                <form onSubmit={handleLogin}>
+                <form onSubmit={handleSubmit}>
                     <div className="mb-4">
                         <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="email">
-                            Email (Mock: editor@thecurrent.edu)
+                            Email
                         </label>
                         <input
                             id="email"
                             type="email"
                             placeholder="Email"
-                            value={loginEmail}
-                            onChange={(e) => setLoginEmail(e.target.value)}
+                            autoComplete="username"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
                             className="shadow appearance-none border rounded-lg w-full py-3 px-4 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-red-500"
                             required
                         />
                     </div>
                     <div className="mb-6">
                         <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="password">
-                            Password (Mock: password123)
+                            Password
                         </label>
                         <input
                             id="password"
                             type="password"
                             placeholder="Password"
-                            value={loginPassword}
-                            onChange={(e) => setLoginPassword(e.target.value)}
+                            autoComplete="current-password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
                             className="shadow appearance-none border rounded-lg w-full py-3 px-4 text-gray-700 mb-3 leading-tight focus:outline-none focus:ring-2 focus:ring-red-500"
                             required
                         />
@@ -274,7 +534,7 @@ const App = () => {
                         </button>
                         <button
                             type="button"
-                            onClick={() => setShowLogin(false)}
+                            onClick={onCancel}
                             className="inline-block align-baseline font-bold text-sm text-gray-600 hover:text-gray-800"
                         >
                             Cancel
@@ -284,129 +544,3134 @@ const App = () => {
             </div>
         </div>
     );
+};
 
-    const AdminDashboard = () => (
-        <section className="bg-red-50 p-6 rounded-xl shadow-lg mt-8 border-t-4 border-red-800">
-            <h2 className="text-3xl font-bold text-red-800 mb-6 border-b pb-2">Admin Dashboard (Analytics)</h2>
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-                <div className="bg-white p-6 rounded-xl shadow-md border-l-4 border-yellow-500">
-                    <p className="text-sm font-medium text-gray-500">Total Page Views</p>
-                    <p className="text-4xl font-extrabold text-red-800 mt-1">
-                        {isAuthReady ? viewCount.toLocaleString() : 'Loading...'}
-                    </p>
-                </div>
-                <div className="bg-white p-6 rounded-xl shadow-md border-l-4 border-yellow-500">
-                    <p className="text-sm font-medium text-gray-500">Current Logged-in User ID</p>
-                    <p className="text-base font-mono text-gray-700 mt-1 break-all">
-                        {userId || 'N/A'}
-                    </p>
-                </div>
-                <div className="bg-white p-6 rounded-xl shadow-md border-l-4 border-yellow-500">
-                    <p className="text-sm font-medium text-gray-500">Data Source</p>
-                    <p className="text-base font-semibold text-gray-700 mt-1">
-                        Firebase Firestore (NoSQL)
-                    </p>
-                    <p className="text-xs text-gray-500 mt-1 break-all">
-                        Path: `/artifacts/{appId}/public/data/analytics/...`
-                    </p>
-                </div>
+// Shown once when the local admin account is created, since its password isn't kept anywhere.
+const FirstRunNotice = ({ email, password, onClose }) => (
+    <div role="dialog" aria-labelledby="first-run-title" className="fixed inset-0 bg-gray-900 bg-opacity-75 z-50 flex items-center justify-center p-4">
+        <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-md text-gray-700">
+            <h2 id="first-run-title" className="text-2xl font-bold mb-4 text-red-800">Local admin created</h2>
+            <p className="mb-4">Sign in to the newsroom with:</p>
+            <dl className="mb-4 grid grid-cols-[auto_1fr] gap-x-4 gap-y-1">
+                <dt className="font-bold">Email</dt>
+                <dd className="font-mono select-all">{email}</dd>
+                <dt className="font-bold">Password</dt>
+                <dd className="font-mono select-all break-all">{password}</dd>
+            </dl>
+            <p className="mb-6 text-sm">
+                Write the password down: it won't be shown again. If it's lost, clear this site's data in the
+                browser to start over with a new one.
+            </p>
+            <button
+                onClick={onClose}
+                className="bg-red-800 hover:bg-red-700 text-white font-bold py-3 px-6 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500"
+            >
+                I've saved it
+            </button>
+        </div>
+    </div>
+);
+
+// Advisor/admin screen for inviting staff, resetting passwords and deactivating graduates, and for
+// unlocking accounts after too many failed sign-ins or signing a lost phone out. `lockouts` is
+// storage.logins.locked().
+const StaffManager = ({
+    staff, lockouts, currentUid, currentRole, onInvite, onUpdate, onResetPassword, onUnlock, onSignOutEverywhere,
+}) => {
+    const [email, setEmail] = useState('');
+    const [displayName, setDisplayName] = useState('');
+    const [role, setRole] = useState('writer');
+    const [isInviting, setIsInviting] = useState(false);
+
+    // Only admins may hand out (or take away) the admin role.
+    const assignableRoles = hasPermission(currentRole, 'assignAdmin') ? ROLES : ROLES.filter((r) => r !== 'admin');
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        setIsInviting(true);
+        const invited = await onInvite({ email: email.trim().toLowerCase(), displayName: displayName.trim(), role });
+        setIsInviting(false);
+        if (invited) {
+            setEmail('');
+            setDisplayName('');
+            setRole('writer');
+        }
+    };
+
+    const sortedStaff = [...staff].sort((a, b) =>
+        Number(b.active) - Number(a.active) || a.displayName.localeCompare(b.displayName)
+    );
+    const lockedUntil = new Map(lockouts.map((lockout) => [lockout.uid, lockout.lockedUntil]));
+
+    return (
+        <section className="bg-white p-6 rounded-xl shadow-lg mt-8 border-t-4 border-yellow-500">
+            <h2 className="text-3xl font-bold text-red-800 mb-6 border-b pb-2">Staff Accounts</h2>
+
+            <form onSubmit={handleInvite} className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8">
+                <input
+                    type="text"
+                    placeholder="Full name"
+                    value={displayName}
+                    onChange={(e) => setDisplayName(e.target.value)}
+                    className="border rounded-lg py-2 px-3 text-gray-700 focus:outline-none focus:ring-2 focus:ring-red-500"
+                    required
+                />
+                <input
+                    type="email"
+                    placeholder="School email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="border rounded-lg py-2 px-3 text-gray-700 focus:outline-none focus:ring-2 focus:ring-red-500"
+                    required
+                />
+                <select
+                    value={role}
+                    onChange={(e) => setRole(e.target.value)}
+                    className="border rounded-lg py-2 px-3 text-gray-700 capitalize focus:outline-none focus:ring-2 focus:ring-red-500"
+                >
+                    {assignableRoles.map((r) => <option key={r} value={r}>{r}</option>)}
+                </select>
+                <button
+                    type="submit"
+                    disabled={isInviting}
+                    className="bg-red-800 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg transition duration-200 disabled:bg-red-400"
+                >
+                    {isInviting ? 'Inviting...' : 'Invite Staff'}
+                </button>
+            </form>
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-left text-sm">
+                    <thead>
+                        <tr className="text-gray-500 border-b">
+                            <th className="py-2 pr-4">Name</th>
+                            <th className="py-2 pr-4">Email</th>
+                            <th className="py-2 pr-4">Role</th>
+                            <th className="py-2 pr-4">Status</th>
+                            <th className="py-2">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sortedStaff.map((member) => {
+                            const isSelf = member.uid === currentUid;
+                            // Advisors can't edit admins; nobody can demote or deactivate themselves.
+                            const isLocked = isSelf || (member.role === 'admin' && !hasPermission(currentRole, 'assignAdmin'));
+                            return (
+                                <tr key={member.uid} className={`border-b ${member.active ? '' : 'text-gray-400'}`}>
+                                    <td className="py-2 pr-4 font-medium">{member.displayName}</td>
+                                    <td className="py-2 pr-4">{member.email}</td>
+                                    <td className="py-2 pr-4">
+                                        <select
+                                            value={member.role}
+                                            disabled={isLocked}
+                                            onChange={(e) => onUpdate(member, { role: e.target.value })}
+                                            className="border rounded py-1 px-2 capitalize disabled:bg-gray-100"
+                                        >
+                                            {(isLocked ? ROLES : assignableRoles).map((r) => <option key={r} value={r}>{r}</option>)}
+                                        </select>
+                                    </td>
+                                    <td className="py-2 pr-4">
+                                        {member.active ? 'Active' : 'Deactivated'}
+                                        {lockedUntil.has(member.uid) && (
+                                            <span className="block text-xs text-red-700 font-semibold">
+                                                Locked until {new Date(lockedUntil.get(member.uid)).toLocaleTimeString()}
+                                            </span>
+                                        )}
+                                    </td>
+                                    <td className="py-2 space-x-3 whitespace-nowrap">
+                                        {lockedUntil.has(member.uid) && (
+                                            <button
+                                                onClick={() => onUnlock(member)}
+                                                className="text-red-800 font-semibold hover:underline"
+                                            >
+                                                Unlock
+                                            </button>
+                                        )}
+                                        <button
+                                            onClick={() => onResetPassword(member)}
+                                            className="text-red-800 font-semibold hover:underline"
+                                        >
+                                            Reset Password
+                                        </button>
+                                        {!isSelf && member.active && (
+                                            <button
+                                                onClick={() => onSignOutEverywhere(member)}
+                                                className="text-gray-600 font-semibold hover:underline"
+                                            >
+                                                Sign Out Everywhere
+                                            </button>
+                                        )}
+                                        {!isLocked && (
+                                            <button
+                                                onClick={() => onUpdate(member, { active: !member.active })}
+                                                className="text-gray-600 font-semibold hover:underline"
+                                            >
+                                                {member.active ? 'Deactivate' : 'Reactivate'}
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
             </div>
         </section>
     );
+};
 
-    const ArticleCard = ({ title, summary, author, category, imageUrl }) => (
-        <div className="bg-white rounded-xl shadow-lg overflow-hidden transform hover:scale-[1.02] transition duration-300 ease-in-out">
-            <img 
-                src={imageUrl} 
-                alt={title} 
-                className="w-full h-48 object-cover"
-                onError={(e) => {
-                    e.target.onerror = null; 
-                    e.target.src = `https://placehold.co/600x400/D0312D/FFFFFF?text=${category.toUpperCase()}`;
-                }}
-            />
-            <div className="p-6">
-                <p className="text-xs font-semibold uppercase text-red-600 mb-1">{category}</p>
-                <h3 className="text-xl font-bold text-gray-900 mb-3 line-clamp-2">{title}</h3>
-                <p className="text-gray-600 mb-4 line-clamp-3">{summary}</p>
-                <div className="flex justify-between items-center text-sm text-gray-500">
-                    <span>By {author}</span>
-                    <a href="#" className="text-red-800 font-semibold hover:underline">Read More &rarr;</a>
-                </div>
+// The signed-in staff member's devices, this one first among equals. A device signed out from here
+// loses its staff access on its next request and goes back to the public site.
+const SessionList = ({ storage, uid, currentSessionId, onRevoke, onRevokeOthers }) => {
+    const [sessions, setSessions] = useState([]);
+
+    useEffect(() => {
+        if (!storage || !uid) return;
+
+        const unsubscribe = storage.watch('sessions.list', [uid], setSessions, (error) => {
+            console.error("Error loading signed-in devices:", error);
+        });
+
+        return () => unsubscribe();
+    }, [storage, uid]);
+
+    const hasOthers = sessions.some((session) => session.id !== currentSessionId);
+
+    return (
+        <section className="bg-white p-6 rounded-xl shadow-lg mt-8 border-t-4 border-yellow-500">
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-4 border-b pb-2">
+                <h2 className="text-3xl font-bold text-red-800">Your Devices</h2>
+                {hasOthers && (
+                    <button onClick={onRevokeOthers} className="text-sm text-red-800 font-semibold hover:underline">
+                        Sign Out All Other Devices
+                    </button>
+                )}
             </div>
-        </div>
+            <ul className="divide-y text-sm">
+                {sessions.map((session) => (
+                    <li key={session.id} className="py-3 flex flex-wrap justify-between items-center gap-2">
+                        <span>
+                            <span className="font-semibold">{session.device}</span>
+                            {session.id === currentSessionId && (
+                                <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-green-100 text-green-800">This device</span>
+                            )}
+                            <span className="block text-gray-500">
+                                {session.ip && `${session.ip} · `}signed in {new Date(session.createdAt).toLocaleString()}
+                                {' '}&middot; last active {new Date(session.lastSeenAt).toLocaleString()}
+                            </span>
+                        </span>
+                        {session.id !== currentSessionId && (
+                            <button onClick={() => onRevoke(session)} className="text-gray-600 font-semibold hover:underline">
+                                Sign Out
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </section>
     );
+};
 
-    return (
-        <div className="min-h-screen bg-gray-100 font-sans">
-            <style>{`
-                /* Font setup */
-                @import url('https://fonts.googleapis.com/css2?family=Inter:wght@100..900&family=Playfair+Display:ital,wght@0,400..900;1,400..900&display=swap');
-                .font-sans { font-family: 'Inter', sans-serif; }
-                .font-serif { font-family: 'Playfair Display', serif; }
+const AUDIT_AREA_LABELS = {
+    auth: 'Sign-ins', article: 'Stories', edition: 'Editions', comment: 'Comments', staff: 'Staff', privacy: 'Privacy',
+};
 
-                /* Custom scrollbar for better aesthetics */
-                ::-webkit-scrollbar { width: 8px; }
-                ::-webkit-scrollbar-thumb { 
-                    background-color: #D0312D; /* Red-800 */
-                    border-radius: 4px;
-                }
-                ::-webkit-scrollbar-track { 
-                    background-color: #f1f1f1;
-                }
-            `}</style>
-            
-            {/* Toast Container for notifications */}
-            <div id="toast-container" className="fixed top-20 right-4 z-50 max-w-xs w-full"></div>
+// The advisor's record of who did what: sign-ins and lockouts, workflow steps, deletions, moderation
+// and staff changes, newest first. Nobody can edit or remove an entry, advisors included.
+const AuditLog = ({ storage }) => {
+    const [draft, setDraft] = useState('');
+    const [query, setQuery] = useState('');
+    const [area, setArea] = useState('');
+    const [fromDate, setFromDate] = useState('');
+    const [toDate, setToDate] = useState('');
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState(null);
 
-            <Header />
+    // Whole local days, inclusive of the end date; either end may be open.
+    const filters = useMemo(() => {
+        let to = null;
+        if (toDate) {
+            const end = new Date(`${toDate}T00:00:00`);
+            end.setDate(end.getDate() + 1);
+            to = end.toISOString();
+        }
+        return { query, area, from: fromDate ? new Date(`${fromDate}T00:00:00`).toISOString() : null, to };
+    }, [query, area, fromDate, toDate]);
 
-            <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-                {isAdmin && <AdminDashboard />}
-
-                <section className="mt-8">
-                    <h2 className="text-4xl font-bold text-gray-800 mb-6 border-b-2 border-red-800 pb-2 font-serif">Latest Stories</h2>
-                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
-                        <ArticleCard
-                            title="Dolphin Robotics Team Wins Regional Championship"
-                            summary="The Ocean Lakes Robotics Team secured a major victory, qualifying for the national finals after a thrilling regional competition..."
-                            author="Jane Smith"
-                            category="News"
-                            imageUrl="https://placehold.co/600x400/D0312D/FFFFFF?text=Robotics+Victory"
-                        />
-                        <ArticleCard
-                            title="Analyzing the New VBCPS Grading Policy Changes"
-                            summary="Our opinion columnist breaks down how the latest shifts in the Virginia Beach City Public Schools grading system will impact student stress and academic integrity."
-                            author="Alex Johnson"
-                            category="Opinion"
-                            imageUrl="https://placehold.co/600x400/1E40AF/FFFFFF?text=Grading+Policy"
-                        />
-                        <ArticleCard
-                            title="Volleyball Dominates in Undefeated Season Start"
-                            summary="The Ocean Lakes Girls' Volleyball team has set an incredible pace, sweeping their first five opponents. We look into the keys to their success this year."
-                            author="Chris Lee"
-                            category="Sports"
-                            imageUrl="https://placehold.co/600x400/059669/FFFFFF?text=Volleyball+Action"
-                        />
-                        <ArticleCard
-                            title="Review: The Cafeteria's New Healthy Lunch Initiative"
-                            summary="Students offer their honest reviews of the new menu items designed to boost nutrition. Is it a hit or a miss? Find out inside."
-                            author="Taylor Brown"
-                            category="Lifestyle"
-                            imageUrl="https://placehold.co/600x400/F59E0B/FFFFFF?text=School+Lunch"
-                        />
-                    </div>
-                </section>
-            </main>
+    // Start from the first page whenever the filters change.
+    useEffect(() => setPage(1), [filters]);
 
-            <footer className="bg-gray-800 text-white mt-12">
-                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 text-center">
-                    <p>&copy; {new Date().getFullYear()} The Current Newspaper | Ocean Lakes High School. All rights reserved.</p>
-                    <p className="text-xs mt-2">Powered by Firebase & React | Analytics Count: {viewCount.toLocaleString()}</p>
+    useEffect(() => {
+        if (!storage) return;
+
+        const unsubscribe = storage.watch('audit.search', [{ ...filters, page }], setResult, (error) => {
+            console.error("Error loading audit log:", error);
+        });
+
+        return () => unsubscribe();
+    }, [storage, filters, page]);
+
+    const pageCount = result ? Math.max(1, Math.ceil(result.total / result.pageSize)) : 1;
+    const inputClass = "border rounded-lg py-1 px-2 text-gray-700 focus:outline-none focus:ring-2 focus:ring-red-500";
+    // Flat details only ("ip: 10.0.0.5 · to: published"); lists of ids aren't worth the space.
+    const detailText = (details) => Object.entries(details || {})
+        .filter(([, value]) => value != null && typeof value !== 'object')
+        .map(([key, value]) => `${key}: ${value}`)
+        .join(' · ');
+
+    return (
+        <section className="bg-white p-6 rounded-xl shadow-lg mt-8 border-t-4 border-red-800">
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-6 border-b pb-2">
+                <h2 className="text-3xl font-bold text-red-800">Audit Log</h2>
+                <form
+                    onSubmit={(e) => {
+                        e.preventDefault();
+                        setQuery(draft.trim());
+                    }}
+                    className="flex flex-wrap items-center gap-2 text-sm"
+                >
+                    <input
+                        type="search"
+                        placeholder="Name, story or id"
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        className={inputClass}
+                    />
+                    <select value={area} onChange={(e) => setArea(e.target.value)} className={inputClass}>
+                        <option value="">All activity</option>
+                        {AUDIT_AREAS.map((a) => <option key={a} value={a}>{AUDIT_AREA_LABELS[a]}</option>)}
+                    </select>
+                    <input type="date" value={fromDate} max={toDate || undefined} onChange={(e) => setFromDate(e.target.value)} className={inputClass} />
+                    <span>to</span>
+                    <input type="date" value={toDate} min={fromDate || undefined} onChange={(e) => setToDate(e.target.value)} className={inputClass} />
+                    <button type="submit" className="px-3 py-1 rounded-lg bg-red-800 text-white font-semibold hover:bg-red-700">Search</button>
+                </form>
+            </div>
+
+            {!result ? (
+                <p className="text-gray-500">Loading the audit log...</p>
+            ) : result.entries.length === 0 ? (
+                <p className="text-gray-500">Nothing matches those filters.</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-left text-sm">
+                        <thead>
+                            <tr className="text-gray-500 border-b">
+                                <th className="py-2 pr-4">When</th>
+                                <th className="py-2 pr-4">Who</th>
+                                <th className="py-2 pr-4">What</th>
+                                <th className="py-2">Action</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {result.entries.map((entry) => (
+                                <tr key={entry.id} className="border-b align-top">
+                                    <td className="py-2 pr-4 whitespace-nowrap">{new Date(entry.occurredAt).toLocaleString()}</td>
+                                    <td className="py-2 pr-4">{entry.actorName || <span className="text-gray-400">{entry.action === 'auth.login_failed' ? 'Unknown' : 'System'}</span>}</td>
+                                    <td className="py-2 pr-4">
+                                        {entry.summary}
+                                        {detailText(entry.details) && <span className="block text-xs text-gray-500">{detailText(entry.details)}</span>}
+                                    </td>
+                                    <td className="py-2 font-mono text-xs text-gray-500">{entry.action}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <p className="text-xs text-gray-500 mt-2">{result.total.toLocaleString()} entries</p>
                 </div>
-            </footer>
+            )}
+            <Pager page={page} pageCount={pageCount} onChange={setPage} />
+        </section>
+    );
+};
+
+// The advisor's privacy controls: how long raw analytics are kept, and a parent's request to see or
+// delete what was recorded under a reader's visitor ids (the reader finds them under "Privacy
+// settings"). Lookups, downloads and deletions are all in the audit log.
+const ReaderPrivacy = ({ storage, onSaveRetention, onLookUp, onDelete }) => {
+    const [retention, setRetention] = useState(null);
+    const [daysDraft, setDaysDraft] = useState('');
+    const [idsDraft, setIdsDraft] = useState('');
+    const [found, setFound] = useState(null); // analytics.visitorData for the ids last looked up
+    const [isWorking, setIsWorking] = useState(false);
+
+    useEffect(() => {
+        if (!storage) return;
+
+        const unsubscribe = storage.watch('analytics.retention', [], setRetention, (error) => {
+            console.error("Error loading analytics retention:", error);
+        });
+
+        return () => unsubscribe();
+    }, [storage]);
+
+    // Fill the field once, and again when the setting changes, but not on every unrelated write.
+    useEffect(() => {
+        if (retention != null) setDaysDraft(String(retention));
+    }, [retention]);
+
+    const handleLookUp = async (e) => {
+        e.preventDefault();
+        setIsWorking(true);
+        setFound(await onLookUp(idsDraft));
+        setIsWorking(false);
+    };
+
+    const handleDelete = async () => {
+        setIsWorking(true);
+        if (await onDelete(found.visitorIds)) setFound(null);
+        setIsWorking(false);
+    };
+
+    const inputClass = "border rounded-lg py-1 px-2 text-gray-700 focus:outline-none focus:ring-2 focus:ring-red-500";
+    const plural = (count, word) => `${count.toLocaleString()} ${count === 1 ? word : `${word}s`}`;
+
+    return (
+        <section className="bg-white p-6 rounded-xl shadow-lg mt-8 border-t-4 border-red-800">
+            <h2 className="text-3xl font-bold text-red-800 mb-6 border-b pb-2">Reader Privacy</h2>
+
+            <form
+                onSubmit={(e) => {
+                    e.preventDefault();
+                    onSaveRetention(Number(daysDraft));
+                }}
+                className="flex flex-wrap items-center gap-2 text-sm"
+            >
+                <label htmlFor="retention-days" className="font-semibold text-gray-700">Keep raw analytics for</label>
+                <input
+                    id="retention-days"
+                    type="number"
+                    min={ANALYTICS_RETENTION.minDays}
+                    max={ANALYTICS_RETENTION.maxDays}
+                    value={daysDraft}
+                    onChange={(e) => setDaysDraft(e.target.value)}
+                    className={`${inputClass} w-24`}
+                    required
+                />
+                <span>days</span>
+                <button
+                    type="submit"
+                    disabled={retention == null || Number(daysDraft) === retention}
+                    className="px-3 py-1 rounded-lg bg-red-800 text-white font-semibold hover:bg-red-700 disabled:bg-red-300"
+                >
+                    Save
+                </button>
+            </form>
+            <p className="text-xs text-gray-500 mt-1">
+                After that, page views and searches are added to daily totals and their session and visitor ids are deleted.
+            </p>
+
+            <h3 className="text-lg font-semibold text-gray-800 mt-6 mb-2">Data Requests</h3>
+            <form onSubmit={handleLookUp} className="flex flex-wrap items-center gap-2 text-sm">
+                <input
+                    type="text"
+                    placeholder="Visitor ids, separated by commas"
+                    value={idsDraft}
+                    onChange={(e) => setIdsDraft(e.target.value)}
+                    className={`${inputClass} flex-grow font-mono`}
+                    required
+                />
+                <button type="submit" disabled={isWorking} className="px-3 py-1 rounded-lg bg-red-800 text-white font-semibold hover:bg-red-700 disabled:bg-red-300">
+                    Look Up
+                </button>
+            </form>
+
+            {found && (
+                <div className="mt-4 p-4 rounded-lg bg-gray-50 text-sm">
+                    {found.events.length || found.searches.length ? (
+                        <>
+                            <p>
+                                {plural(found.events.length, 'page view')} and {plural(found.searches.length, 'search')} under{' '}
+                                <span className="font-mono break-all">{found.visitorIds.join(', ')}</span>.
+                            </p>
+                            <div className="flex flex-wrap gap-3 mt-3">
+                                <button
+                                    onClick={() => downloadFile(`visitor-data-${found.generatedAt.slice(0, 10)}.json`, 'application/json', JSON.stringify(found, null, 2))}
+                                    className="px-3 py-1 rounded-lg border border-red-800 text-red-800 font-semibold hover:bg-red-50"
+                                >
+                                    Download JSON
+                                </button>
+                                <button onClick={handleDelete} disabled={isWorking} className="px-3 py-1 rounded-lg bg-gray-700 text-white font-semibold hover:bg-gray-600 disabled:bg-gray-400">
+                                    Delete This Data
+                                </button>
+                            </div>
+                            <p className="text-xs text-gray-500 mt-2">Deleting keeps the visits in the daily totals, with no id attached.</p>
+                        </>
+                    ) : (
+                        <p className="text-gray-600">
+                            Nothing is stored under those ids. Data older than the retention period has already lost its ids,
+                            and readers who declined analytics never had any recorded.
+                        </p>
+                    )}
+                </div>
+            )}
+        </section>
+    );
+};
+
+// --- Moderation Components ---
+
+// The comment queue for editors: approve, reject or ban (reject, and block the commenter from posting
+// again). Also edits the word filter and lists banned commenters.
+const CommentModeration = ({ storage, onModerate, onUnban, onSaveBlockedWords }) => {
+    const [queue, setQueue] = useState([]);
+    const [bans, setBans] = useState([]);
+    const [blockedWords, setBlockedWords] = useState(null);
+    const [wordsDraft, setWordsDraft] = useState('');
+    const [isEditingWords, setIsEditingWords] = useState(false);
+
+    useEffect(() => {
+        if (!storage) return;
+
+        const onError = (error) => console.error("Error loading comment queue:", error);
+        const unsubscribers = [
+            storage.watch('comments.queue', [], setQueue, onError),
+            storage.watch('comments.bans', [], setBans, onError),
+            storage.watch('comments.blockedWords', [], setBlockedWords, onError),
+        ];
+
+        return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+    }, [storage]);
+
+    const startEditingWords = () => {
+        setWordsDraft((blockedWords || []).join(', '));
+        setIsEditingWords(true);
+    };
+
+    const handleSaveWords = async (e) => {
+        e.preventDefault();
+        const saved = await onSaveBlockedWords(wordsDraft.split(/[\s,]+/).filter(Boolean));
+        if (saved) setIsEditingWords(false);
+    };
+
+    const actionClass = "font-semibold hover:underline";
+
+    return (
+        <section className="bg-white p-6 rounded-xl shadow-lg mt-8 border-t-4 border-yellow-500">
+            <h2 className="text-3xl font-bold text-red-800 mb-6 border-b pb-2 flex items-center gap-3">
+                Comment Queue
+                {queue.length > 0 && <span className="text-sm bg-red-800 text-white rounded-full px-3 py-1">{queue.length} waiting</span>}
+            </h2>
+
+            {queue.length === 0 ? (
+                <p className="text-gray-500 mb-8">No comments are waiting for review.</p>
+            ) : (
+                <ul className="divide-y mb-8">
+                    {queue.map((comment) => (
+                        <li key={comment.id} className="py-4 flex flex-col md:flex-row md:items-start gap-4">
+                            <div className="flex-1 min-w-0">
+                                <p className="text-sm text-gray-500">
+                                    <span className="font-semibold text-gray-800">{comment.authorName}</span> on{' '}
+                                    <Link to={articlePath(comment.articleSlug)} className="text-red-800 hover:underline">{comment.articleTitle}</Link>
+                                    {' '}&middot; {new Date(comment.createdAt).toLocaleString()}
+                                </p>
+                                <p className="text-gray-800 whitespace-pre-wrap mt-1">{comment.body}</p>
+                            </div>
+                            <div className="flex space-x-4 text-sm whitespace-nowrap">
+                                <button onClick={() => onModerate(comment, 'approve')} className={`${actionClass} text-green-700`}>Approve</button>
+                                <button onClick={() => onModerate(comment, 'reject')} className={`${actionClass} text-gray-600`}>Reject</button>
+                                <button onClick={() => onModerate(comment, 'ban')} className={`${actionClass} text-red-700`}>Ban</button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 text-sm">
+                <div>
+                    <div className="flex justify-between items-center mb-2">
+                        <p className="font-medium text-gray-500">Word filter</p>
+                        {!isEditingWords && blockedWords && (
+                            <button onClick={startEditingWords} className={`${actionClass} text-red-800`}>Edit</button>
+                        )}
+                    </div>
+                    {isEditingWords ? (
+                        <form onSubmit={handleSaveWords}>
+                            <textarea
+                                rows={4}
+                                value={wordsDraft}
+                                onChange={(e) => setWordsDraft(e.target.value)}
+                                className="border rounded-lg w-full py-2 px-3 text-gray-700 focus:outline-none focus:ring-2 focus:ring-red-500"
+                            />
+                            <p className="text-xs text-gray-500 mt-1">
+                                Single words, separated by commas or spaces. Plurals, "-ing" forms and look-alike spellings are caught too.
+                            </p>
+                            <div className="flex justify-end space-x-3 mt-2">
+                                <button type="button" onClick={() => setIsEditingWords(false)} className="text-gray-600 font-bold">Cancel</button>
+                                <button type="submit" className="bg-red-800 hover:bg-red-700 text-white font-bold py-1 px-3 rounded-lg">Save</button>
+                            </div>
+                        </form>
+                    ) : (
+                        <p className="text-gray-600">
+                            {blockedWords ? `Comments with any of ${blockedWords.length} blocked words are refused when posted.` : 'Loading...'}
+                        </p>
+                    )}
+                </div>
+                <div>
+                    <p className="font-medium text-gray-500 mb-2">Banned commenters</p>
+                    {bans.length === 0 ? (
+                        <p className="text-gray-500">Nobody is banned.</p>
+                    ) : (
+                        <ul className="divide-y">
+                            {bans.map((ban) => (
+                                <li key={ban.commenterId} className="py-2 flex justify-between">
+                                    <span>{ban.displayName} <span className="text-gray-400">since {formatDate(ban.createdAt)}</span></span>
+                                    <button onClick={() => onUnban(ban)} className={`${actionClass} text-red-800`}>Unban</button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </section>
+    );
+};
+
+// --- Newsroom Components ---
+
+// A story's hero image. Uploaded photos come with a srcset, so the browser picks the copy that fits
+// `sizes`; stories without an image (or whose image won't load) get the section placeholder.
+const HeroImage = ({ article, sizes, className }) => (
+    <img
+        src={article.heroImageUrl || placeholderImage(article.category)}
+        srcSet={article.heroImageSrcset || undefined}
+        sizes={article.heroImageSrcset ? sizes : undefined}
+        alt={article.heroImageAlt || article.title}
+        className={className}
+        onError={(e) => {
+            e.target.onerror = null;
+            e.target.removeAttribute('srcset');
+            e.target.src = placeholderImage(article.category);
+        }}
+    />
+);
+
+// Renders a story with its Markdown body sanitized. The editor preview and story pages (ArticlePage) both use it.
+const ArticleBody = ({ article }) => (
+    <article className="bg-white rounded-xl shadow-lg overflow-hidden">
+        <figure>
+            <HeroImage article={article} sizes="(min-width: 1024px) 1024px, 100vw" className="w-full h-72 object-cover" />
+            {article.heroImageUrl && article.heroImageCredit && (
+                <figcaption className="px-8 pt-2 text-xs text-gray-500 text-right">Photo: {article.heroImageCredit}</figcaption>
+            )}
+        </figure>
+        <div className="p-8">
+            <p className="text-xs font-semibold uppercase text-red-600 mb-1">{article.category}</p>
+            <h1 className="text-4xl font-bold text-gray-900 mb-3 font-serif">{article.title}</h1>
+            <p className="text-sm text-gray-500 mb-6">
+                By <Link to={authorPath(article.author)} className="hover:underline">{article.author}</Link>
+                {article.publishedAt && <> &middot; {formatDate(article.publishedAt)}</>}
+            </p>
+            <div className="article-body text-gray-800" dangerouslySetInnerHTML={{ __html: renderMarkdown(article.body) }} />
+        </div>
+    </article>
+);
+
+// Workflow status labels and badge colors for the newsroom.
+const STATUS_LABELS = {
+    draft: 'Draft',
+    submitted: 'In review',
+    changes_requested: 'Changes requested',
+    approved: 'Approved',
+    scheduled: 'Scheduled',
+    published: 'Published',
+    archived: 'Archived',
+};
+
+const STATUS_STYLES = {
+    draft: 'bg-gray-100 text-gray-700',
+    submitted: 'bg-blue-100 text-blue-800',
+    changes_requested: 'bg-orange-100 text-orange-800',
+    approved: 'bg-green-100 text-green-800',
+    scheduled: 'bg-purple-100 text-purple-800',
+    published: 'bg-red-100 text-red-800',
+    archived: 'bg-gray-200 text-gray-500',
+};
+
+const StatusBadge = ({ status }) => (
+    <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap ${STATUS_STYLES[status]}`}>
+        {STATUS_LABELS[status]}
+    </span>
+);
+
+// Workflow actions `role` may take on a story in `status`, as [action, step] pairs.
+function availableActions(status, role) {
+    return Object.entries(WORKFLOW).filter(([, step]) => step.from.includes(status) && roleAtLeast(role, step.role));
+}
+
+// Saved versions of a story. Selecting one shows what changed since the revision before it.
+const RevisionHistory = ({ storage, articleId, canRestore, onRestore }) => {
+    const [revisions, setRevisions] = useState([]);
+    const [selected, setSelected] = useState(null);
+
+    useEffect(() => {
+        if (!storage) return;
+
+        const unsubscribe = storage.watch('articles.revisions', [articleId], setRevisions, (error) => {
+            console.error("Error loading revisions:", error);
+        });
+
+        return () => unsubscribe();
+    }, [storage, articleId]);
+
+    const selectedIndex = revisions.findIndex((r) => r.revision === selected);
+    const current = selectedIndex >= 0 ? revisions[selectedIndex] : null;
+    const previous = selectedIndex >= 0 ? revisions[selectedIndex + 1] : null;
+    const diff = current ? diffLines(previous ? revisionText(previous) : '', revisionText(current)) : [];
+
+    const diffStyles = {
+        added: 'bg-green-50 text-green-800',
+        removed: 'bg-red-50 text-red-800 line-through',
+        same: 'text-gray-600',
+    };
+    const diffMarks = { added: '+', removed: '-', same: ' ' };
+
+    return (
+        <div className="mt-8 border-t pt-6">
+            <h3 className="text-xl font-bold text-red-800 mb-4">Revision History</h3>
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <ul className="text-sm space-y-1 max-h-96 overflow-y-auto">
+                    {revisions.map((revision) => (
+                        <li key={revision.id}>
+                            <button
+                                type="button"
+                                onClick={() => setSelected(revision.revision)}
+                                className={`w-full text-left px-3 py-2 rounded-lg ${selected === revision.revision ? 'bg-red-800 text-white' : 'hover:bg-red-50'}`}
+                            >
+                                <span className="font-semibold">Revision {revision.revision}</span>
+                                <span className="block text-xs opacity-75">
+                                    {new Date(revision.savedAt).toLocaleString()}{revision.note && ` · ${revision.note}`}
+                                </span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+                <div className="lg:col-span-2">
+                    {!current ? (
+                        <p className="text-sm text-gray-500">Pick a revision to see what changed in it.</p>
+                    ) : (
+                        <>
+                            <div className="flex justify-between items-center mb-2 text-sm">
+                                <span className="text-gray-500">
+                                    {previous ? `Changes from revision ${previous.revision} to ${current.revision}` : 'First saved version'}
+                                </span>
+                                {canRestore && selectedIndex > 0 && (
+                                    <button type="button" onClick={() => onRestore(current.revision)} className="text-red-800 font-semibold hover:underline">
+                                        Restore this version
+                                    </button>
+                                )}
+                            </div>
+                            <pre className="text-xs font-mono bg-gray-50 rounded-lg p-3 max-h-96 overflow-auto whitespace-pre-wrap">
+                                {diff.map((part, index) => (
+                                    <div key={index} className={diffStyles[part.type]}>{diffMarks[part.type]} {part.line}</div>
+                                ))}
+                            </pre>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Create/edit form for a single story, with its workflow actions and revision history.
+// `article` is null for a new story. Writers can only edit drafts and stories sent back to them.
+// `onUpload(file)` resolves to the uploaded photo (or null); without it only image URLs can be used.
+const ArticleEditor = ({ storage, article, role, defaultAuthor, isSaving, onSave, onRestore, onUpload, onCancel }) => {
+    const toFields = (source) => ({
+        title: source ? source.title : '',
+        summary: source ? source.summary : '',
+        body: source ? source.body : '',
+        author: source ? source.author : defaultAuthor,
+        category: source ? source.category : CATEGORIES[0],
+        heroImageUrl: source ? source.heroImageUrl || '' : '',
+        heroImageSrcset: source ? source.heroImageSrcset || null : null,
+        heroMediaId: source ? source.heroMediaId || null : null,
+        heroImageAlt: source ? source.heroImageAlt || '' : '',
+        heroImageCredit: source ? source.heroImageCredit || '' : '',
+        publishedAt: source && source.publishedAt ? toLocalInputValue(source.publishedAt) : '',
+    });
+    const [fields, setFields] = useState(() => toFields(article));
+    const [isPreviewing, setIsPreviewing] = useState(false);
+    const [isUploading, setIsUploading] = useState(false);
+    const [reviewNote, setReviewNote] = useState('');
+    const [scheduledFor, setScheduledFor] = useState(
+        article && article.scheduledFor ? toLocalInputValue(article.scheduledFor) : ''
+    );
+
+    const status = article ? article.status : 'draft';
+    const canEdit = roleAtLeast(role, 'editor') || WRITER_EDITABLE_STATUSES.includes(status);
+    const actions = availableActions(status, role);
+
+    const setField = (name) => (e) => setFields((current) => ({ ...current, [name]: e.target.value }));
+
+    // Stories can't go live with a photo that has no alt text or credit (storage.js enforces it too).
+    const imageNeedsDetails = Boolean(fields.heroImageUrl.trim()) && (!fields.heroImageAlt.trim() || !fields.heroImageCredit.trim());
+    const blockedByImage = (action) => (action === 'publish' || action === 'schedule') && imageNeedsDetails;
+
+    // Typing a URL replaces an uploaded photo.
+    const handleImageUrl = (e) => {
+        const heroImageUrl = e.target.value;
+        setFields((current) => ({ ...current, heroImageUrl, heroMediaId: null, heroImageSrcset: null }));
+    };
+
+    const handleUpload = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setIsUploading(true);
+        const media = await onUpload(file);
+        setIsUploading(false);
+        if (media) {
+            setFields((current) => ({ ...current, heroImageUrl: media.url, heroImageSrcset: media.srcset, heroMediaId: media.id }));
+        }
+    };
+
+    const handleRemoveImage = () => {
+        setFields((current) => ({ ...current, heroImageUrl: '', heroImageSrcset: null, heroMediaId: null }));
+    };
+
+    // Saves the form (when the user may edit it), then runs the workflow `action`, if any.
+    const handleSave = (action = null) => {
+        const options = {
+            note: reviewNote.trim() || null,
+            scheduledFor: scheduledFor ? new Date(scheduledFor).toISOString() : null,
+            publishedAt: fields.publishedAt ? new Date(fields.publishedAt).toISOString() : null,
+        };
+        // The publish date goes with the publish step, not the save.
+        const { heroImageSrcset, publishedAt, ...editable } = fields;
+        onSave(canEdit ? {
+            ...editable,
+            heroImageUrl: fields.heroImageUrl.trim() || null,
+        } : null, action, options);
+    };
+
+    const handleRestore = async (revision) => {
+        const restored = await onRestore(revision);
+        if (restored) setFields(toFields(restored));
+    };
+
+    const inputClass = "border rounded-lg w-full py-2 px-3 text-gray-700 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:bg-gray-100";
+
+    return (
+        <section className="bg-white p-6 rounded-xl shadow-lg mt-8 border-t-4 border-red-800">
+            <div className="flex justify-between items-center mb-6 border-b pb-2">
+                <h2 className="text-3xl font-bold text-red-800 flex items-center gap-3">
+                    {article ? 'Edit Story' : 'New Story'} <StatusBadge status={status} />
+                </h2>
+                <div className="space-x-2">
+                    <button
+                        type="button"
+                        onClick={() => setIsPreviewing(false)}
+                        className={`px-3 py-1 rounded-lg font-semibold ${isPreviewing ? 'text-gray-600' : 'bg-red-800 text-white'}`}
+                    >
+                        Write
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => setIsPreviewing(true)}
+                        className={`px-3 py-1 rounded-lg font-semibold ${isPreviewing ? 'bg-red-800 text-white' : 'text-gray-600'}`}
+                    >
+                        Preview
+                    </button>
+                </div>
+            </div>
+
+            {article && article.status === 'changes_requested' && article.reviewNote && (
+                <div className="mb-6 p-4 rounded-lg bg-orange-50 border-l-4 border-orange-400 text-sm">
+                    <p className="font-semibold text-orange-800">Editor's notes</p>
+                    <p className="text-gray-700 whitespace-pre-wrap">{article.reviewNote}</p>
+                </div>
+            )}
+            {article && article.status === 'scheduled' && (
+                <p className="mb-6 text-sm text-purple-800">
+                    Goes live automatically on {new Date(article.scheduledFor).toLocaleString()}.
+                </p>
+            )}
+            {!canEdit && (
+                <p className="mb-6 text-sm text-gray-500">This story is with the editors, so it can't be edited right now.</p>
+            )}
+
+            {isPreviewing ? (
+                <ArticleBody article={{ ...fields, publishedAt: fields.publishedAt ? new Date(fields.publishedAt).toISOString() : null }} />
+            ) : (
+                <fieldset disabled={!canEdit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <label className="md:col-span-2 text-sm font-bold text-gray-700">
+                        Headline
+                        <input type="text" value={fields.title} onChange={setField('title')} className={inputClass} required />
+                    </label>
+                    <label className="md:col-span-2 text-sm font-bold text-gray-700">
+                        Summary
+                        <textarea rows={2} value={fields.summary} onChange={setField('summary')} className={inputClass} />
+                    </label>
+                    <label className="text-sm font-bold text-gray-700">
+                        Byline
+                        <input type="text" value={fields.author} onChange={setField('author')} className={inputClass} />
+                    </label>
+                    <label className="text-sm font-bold text-gray-700">
+                        Section
+                        <select value={fields.category} onChange={setField('category')} className={inputClass}>
+                            {CATEGORIES.map((c) => <option key={c} value={c}>{c}</option>)}
+                        </select>
+                    </label>
+                    <div className="md:col-span-2 grid grid-cols-1 md:grid-cols-2 gap-4 p-4 bg-gray-50 rounded-lg">
+                        <div className="text-sm font-bold text-gray-700">
+                            Hero image
+                            <div className="flex items-center gap-3 mt-1">
+                                <input
+                                    type="url"
+                                    value={fields.heroMediaId ? '' : fields.heroImageUrl}
+                                    placeholder={fields.heroMediaId ? 'Uploaded photo' : 'https://...'}
+                                    onChange={handleImageUrl}
+                                    className={inputClass}
+                                />
+                                {onUpload && (
+                                    <label className="flex-shrink-0 cursor-pointer text-red-800 font-semibold hover:underline">
+                                        {isUploading ? 'Uploading...' : 'Upload'}
+                                        <input type="file" accept="image/*" onChange={handleUpload} disabled={isUploading} className="hidden" />
+                                    </label>
+                                )}
+                                {fields.heroImageUrl && (
+                                    <button type="button" onClick={handleRemoveImage} className="flex-shrink-0 text-gray-600 font-semibold hover:underline">
+                                        Remove
+                                    </button>
+                                )}
+                            </div>
+                            {fields.heroImageUrl && (
+                                <img src={fields.heroImageUrl} alt="" className="mt-3 h-24 rounded-lg object-cover" />
+                            )}
+                        </div>
+                        <div className="space-y-3">
+                            <label className="block text-sm font-bold text-gray-700">
+                                Alt text <span className="font-normal text-gray-500">(what the photo shows, for screen readers)</span>
+                                <input type="text" value={fields.heroImageAlt} onChange={setField('heroImageAlt')} className={inputClass} />
+                            </label>
+                            <label className="block text-sm font-bold text-gray-700">
+                                Photo credit
+                                <input type="text" value={fields.heroImageCredit} onChange={setField('heroImageCredit')} placeholder="Jane Doe / The Current" className={inputClass} />
+                            </label>
+                        </div>
+                        {imageNeedsDetails && (
+                            <p className="md:col-span-2 text-sm text-orange-800">Add alt text and a photo credit before this story can be published.</p>
+                        )}
+                    </div>
+                    {actions.includes('publish') && (
+                        <label className="text-sm font-bold text-gray-700">
+                            Publish date <span className="font-normal text-gray-500">(set when you publish; blank = now)</span>
+                            <input type="datetime-local" value={fields.publishedAt} onChange={setField('publishedAt')} className={inputClass} />
+                        </label>
+                    )}
+                    <label className="md:col-span-2 text-sm font-bold text-gray-700">
+                        Story <span className="font-normal text-gray-500">(Markdown)</span>
+                        <textarea rows={16} value={fields.body} onChange={setField('body')} className={`${inputClass} font-mono text-sm`} />
+                    </label>
+                </fieldset>
+            )}
+
+            {actions.some(([action]) => action === 'requestChanges' || action === 'schedule') && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-6 p-4 bg-red-50 rounded-lg">
+                    {actions.some(([action]) => action === 'requestChanges') && (
+                        <label className="text-sm font-bold text-gray-700">
+                            Notes for the writer <span className="font-normal text-gray-500">(sent with "Request Changes")</span>
+                            <textarea rows={3} value={reviewNote} onChange={(e) => setReviewNote(e.target.value)} className={inputClass} />
+                        </label>
+                    )}
+                    {actions.some(([action]) => action === 'schedule') && (
+                        <label className="text-sm font-bold text-gray-700">
+                            Publish at <span className="font-normal text-gray-500">(used by "Schedule")</span>
+                            <input type="datetime-local" value={scheduledFor} onChange={(e) => setScheduledFor(e.target.value)} className={inputClass} />
+                        </label>
+                    )}
+                </div>
+            )}
+
+            <div className="flex flex-wrap justify-end items-center gap-3 mt-6">
+                <button type="button" onClick={onCancel} className="font-bold text-sm text-gray-600 hover:text-gray-800">
+                    Cancel
+                </button>
+                {canEdit && (
+                    <button
+                        type="button"
+                        disabled={isSaving}
+                        onClick={() => handleSave()}
+                        className="border border-red-800 text-red-800 font-bold py-2 px-4 rounded-lg hover:bg-red-50 transition duration-200 disabled:opacity-50"
+                    >
+                        {isSaving ? 'Saving...' : 'Save'}
+                    </button>
+                )}
+                {actions.map(([action, step]) => (
+                    <button
+                        key={action}
+                        type="button"
+                        disabled={isSaving || blockedByImage(action)}
+                        onClick={() => handleSave(action)}
+                        className="bg-red-800 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg transition duration-200 disabled:bg-red-400"
+                    >
+                        {canEdit && action !== 'archive' ? `Save & ${step.label}` : step.label}
+                    </button>
+                ))}
+            </div>
+
+            {article && <RevisionHistory storage={storage} articleId={article.id} canRestore={canEdit} onRestore={handleRestore} />}
+        </section>
+    );
+};
+
+// Every story in the system with its status, for staff to pick up and edit. Workflow actions that
+// need no extra input (a note or a time) can be run straight from the list.
+const Newsroom = ({ articles, role, onNew, onEdit, onAction }) => (
+    <section className="bg-white p-6 rounded-xl shadow-lg mt-8 border-t-4 border-red-800">
+        <div className="flex justify-between items-center mb-6 border-b pb-2">
+            <h2 className="text-3xl font-bold text-red-800">Newsroom</h2>
+            <button
+                onClick={onNew}
+                className="bg-red-800 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg transition duration-200"
+            >
+                New Story
+            </button>
+        </div>
+        <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm">
+                <thead>
+                    <tr className="text-gray-500 border-b">
+                        <th className="py-2 pr-4">Headline</th>
+                        <th className="py-2 pr-4">Section</th>
+                        <th className="py-2 pr-4">Byline</th>
+                        <th className="py-2 pr-4">Status</th>
+                        <th className="py-2 pr-4">Last edited</th>
+                        <th className="py-2">Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {articles.map((article) => (
+                        <tr key={article.id} className="border-b">
+                            <td className="py-2 pr-4 font-medium">{article.title}</td>
+                            <td className="py-2 pr-4">{article.category}</td>
+                            <td className="py-2 pr-4">{article.author}</td>
+                            <td className="py-2 pr-4">
+                                <StatusBadge status={article.status} />
+                                {article.status === 'scheduled' && (
+                                    <span className="block text-xs text-gray-500 mt-1">{new Date(article.scheduledFor).toLocaleString()}</span>
+                                )}
+                            </td>
+                            <td className="py-2 pr-4">{formatDate(article.updatedAt)}</td>
+                            <td className="py-2 space-x-3 whitespace-nowrap">
+                                <button onClick={() => onEdit(article)} className="text-red-800 font-semibold hover:underline">
+                                    Edit
+                                </button>
+                                {availableActions(article.status, role)
+                                    .filter(([action]) => action !== 'requestChanges' && action !== 'schedule')
+                                    .map(([action, step]) => (
+                                        <button key={action} onClick={() => onAction(article, action)} className="text-gray-600 font-semibold hover:underline">
+                                            {step.label}
+                                        </button>
+                                    ))}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    </section>
+);
+
+// Print editions: numbering, print date and running order of each issue, with a PDF export and a
+// print view. `articles` is every story in the newsroom; archived ones can't go into an edition.
+const EditionManager = ({ storage, articles, onSave, onDelete, onExport, onPrint }) => {
+    const [editions, setEditions] = useState([]);
+    const [draft, setDraft] = useState(null); // { id, volume, issue, title, publishedOn, articleIds } while editing
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        if (!storage) return;
+
+        const unsubscribe = storage.watch('editions.listAll', [], setEditions, (error) => {
+            console.error("Error loading editions:", error);
+        });
+
+        return () => unsubscribe();
+    }, [storage]);
+
+    const storiesById = useMemo(() => new Map(articles.map((article) => [article.id, article])), [articles]);
+    const editionsById = useMemo(() => new Map(editions.map((edition) => [edition.id, edition])), [editions]);
+
+    const startNew = () => {
+        const latest = editions[0];
+        setDraft({
+            id: null,
+            volume: latest ? latest.volume : 1,
+            issue: latest ? latest.issue + 1 : 1,
+            title: '',
+            publishedOn: '',
+            articleIds: [],
+        });
+    };
+
+    const startEditing = async (edition) => {
+        try {
+            const { articles: stories } = await storage.editions.contents(edition.id);
+            setDraft({
+                id: edition.id,
+                volume: edition.volume,
+                issue: edition.issue,
+                title: edition.title || '',
+                publishedOn: edition.publishedOn || '',
+                articleIds: stories.map((story) => story.id),
+            });
+        } catch (error) {
+            console.error("Error loading edition:", error);
+            showToast(`Couldn't open that edition: ${error.message}`, true);
+        }
+    };
+
+    const setField = (name) => (e) => setDraft((current) => ({ ...current, [name]: e.target.value }));
+
+    const moveStory = (index, offset) => setDraft((current) => {
+        const articleIds = [...current.articleIds];
+        [articleIds[index], articleIds[index + offset]] = [articleIds[index + offset], articleIds[index]];
+        return { ...current, articleIds };
+    });
+
+    const removeStory = (articleId) => setDraft((current) => ({
+        ...current,
+        articleIds: current.articleIds.filter((id) => id !== articleId),
+    }));
+
+    const addStory = (e) => {
+        const articleId = e.target.value;
+        if (articleId) setDraft((current) => ({ ...current, articleIds: [...current.articleIds, articleId] }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        const { id, articleIds, ...fields } = draft;
+        const saved = await onSave(id, { ...fields, publishedOn: fields.publishedOn || null }, articleIds);
+        setIsSaving(false);
+        if (saved) setDraft(null);
+    };
+
+    const available = draft
+        ? articles.filter((article) => article.status !== 'archived' && !draft.articleIds.includes(article.id))
+        : [];
+    const inputClass = "border rounded-lg w-full py-2 px-3 text-gray-700 focus:outline-none focus:ring-2 focus:ring-red-500";
+    const actionClass = "font-semibold hover:underline";
+
+    return (
+        <section className="bg-white p-6 rounded-xl shadow-lg mt-8 border-t-4 border-red-800">
+            <div className="flex justify-between items-center mb-6 border-b pb-2">
+                <h2 className="text-3xl font-bold text-red-800">Print Editions</h2>
+                {!draft && (
+                    <button
+                        onClick={startNew}
+                        className="bg-red-800 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg transition duration-200"
+                    >
+                        New Edition
+                    </button>
+                )}
+            </div>
+
+            {draft ? (
+                <form onSubmit={handleSubmit} className="space-y-6">
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                        <label className="text-sm font-bold text-gray-700">
+                            Volume
+                            <input type="number" min="1" value={draft.volume} onChange={setField('volume')} className={inputClass} required />
+                        </label>
+                        <label className="text-sm font-bold text-gray-700">
+                            Issue
+                            <input type="number" min="1" value={draft.issue} onChange={setField('issue')} className={inputClass} required />
+                        </label>
+                        <label className="text-sm font-bold text-gray-700">
+                            Theme <span className="font-normal text-gray-500">(optional)</span>
+                            <input type="text" value={draft.title} onChange={setField('title')} placeholder="Homecoming" className={inputClass} />
+                        </label>
+                        <label className="text-sm font-bold text-gray-700">
+                            Print date <span className="font-normal text-gray-500">(blank = planning)</span>
+                            <input type="date" value={draft.publishedOn} onChange={setField('publishedOn')} className={inputClass} />
+                        </label>
+                    </div>
+
+                    <div>
+                        <p className="text-sm font-bold text-gray-700 mb-2">Running order <span className="font-normal text-gray-500">(the first story leads the front page)</span></p>
+                        {draft.articleIds.length === 0 ? (
+                            <p className="text-sm text-gray-500 mb-2">No stories yet.</p>
+                        ) : (
+                            <ol className="divide-y border rounded-lg mb-3 text-sm">
+                                {draft.articleIds.map((articleId, index) => {
+                                    const story = storiesById.get(articleId);
+                                    return (
+                                        <li key={articleId} className="flex items-center gap-3 px-3 py-2">
+                                            <span className="text-gray-400 w-5">{index + 1}</span>
+                                            <span className="flex-1 min-w-0 truncate">
+                                                {story ? story.title : 'Story not found'}
+                                                {story && <span className="text-gray-500"> &middot; {story.category}</span>}
+                                            </span>
+                                            {story && <StatusBadge status={story.status} />}
+                                            <button type="button" disabled={index === 0} onClick={() => moveStory(index, -1)} className="text-gray-600 disabled:opacity-30" aria-label="Move up">&uarr;</button>
+                                            <button type="button" disabled={index === draft.articleIds.length - 1} onClick={() => moveStory(index, 1)} className="text-gray-600 disabled:opacity-30" aria-label="Move down">&darr;</button>
+                                            <button type="button" onClick={() => removeStory(articleId)} className={`${actionClass} text-red-700`}>Remove</button>
+                                        </li>
+                                    );
+                                })}
+                            </ol>
+                        )}
+                        <select value="" onChange={addStory} className={inputClass}>
+                            <option value="">Add a story...</option>
+                            {available.map((article) => {
+                                const current = article.editionId && editionsById.get(article.editionId);
+                                return (
+                                    <option key={article.id} value={article.id}>
+                                        {article.title} ({article.category}){current && current.id !== draft.id ? `, now in ${editionLabel(current)}` : ''}
+                                    </option>
+                                );
+                            })}
+                        </select>
+                    </div>
+
+                    <div className="flex justify-end items-center gap-3">
+                        <button type="button" onClick={() => setDraft(null)} className="font-bold text-sm text-gray-600 hover:text-gray-800">
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={isSaving}
+                            className="bg-red-800 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg transition duration-200 disabled:bg-red-400"
+                        >
+                            {isSaving ? 'Saving...' : 'Save Edition'}
+                        </button>
+                    </div>
+                </form>
+            ) : editions.length === 0 ? (
+                <p className="text-gray-500">No editions yet. Create one to group stories into a print issue.</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-left text-sm">
+                        <thead>
+                            <tr className="text-gray-500 border-b">
+                                <th className="py-2 pr-4">Edition</th>
+                                <th className="py-2 pr-4">Theme</th>
+                                <th className="py-2 pr-4">Print date</th>
+                                <th className="py-2 pr-4">Stories</th>
+                                <th className="py-2">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {editions.map((edition) => (
+                                <tr key={edition.id} className="border-b">
+                                    <td className="py-2 pr-4 font-medium">{editionLabel(edition)}</td>
+                                    <td className="py-2 pr-4">{edition.title}</td>
+                                    <td className="py-2 pr-4">{edition.publishedOn ? formatDay(edition.publishedOn) : <span className="text-gray-500">Planning</span>}</td>
+                                    <td className="py-2 pr-4">{edition.stories}</td>
+                                    <td className="py-2 space-x-3 whitespace-nowrap">
+                                        <button onClick={() => startEditing(edition)} className={`${actionClass} text-red-800`}>Edit</button>
+                                        <button onClick={() => onExport(edition)} className={`${actionClass} text-gray-600`}>Export PDF</button>
+                                        <button onClick={() => onPrint(edition)} className={`${actionClass} text-gray-600`}>Print</button>
+                                        <button onClick={() => onDelete(edition)} className={`${actionClass} text-gray-600`}>Delete</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </section>
+    );
+};
+
+// --- Reader Components ---
+
+// Asks whether analytics may keep a random id for this browser. Until the reader answers, and if they
+// say no, their visits only add to the day's totals. "Privacy settings" in the footer reopens it
+// (with `onClose`) to change the answer or find the ids for a data request.
+const ConsentBanner = ({ consent, onChoose, onClose }) => {
+    const ids = visitorIds();
+    const buttonClass = "px-4 py-2 rounded-lg border-2 border-red-800 text-red-800 font-semibold hover:bg-red-50";
+
+    return (
+        <div role="dialog" aria-labelledby="consent-title" className="fixed bottom-0 inset-x-0 z-40 bg-white border-t-4 border-red-800 shadow-2xl">
+            <div className="max-w-4xl mx-auto p-4 sm:p-6 text-sm text-gray-700">
+                <h2 id="consent-title" className="font-bold text-gray-800 text-base mb-1">Can we count your visits?</h2>
+                <p>
+                    The Current counts which stories get read so the staff know what readers want. If you allow it, this
+                    browser gets a random id, replaced every month, so we can tell how many different people read the
+                    paper. It never includes your name, account or device, and it is deleted on a schedule set by our
+                    advisor. If you say no, your visit is only added to the day's totals.
+                </p>
+                {consent && (
+                    <p className="mt-2">
+                        You chose <strong>{consent.choice === 'full' ? 'Allow' : 'No thanks'}</strong> on {formatDate(consent.decidedAt)}.
+                    </p>
+                )}
+                {onClose && ids.length > 0 && (
+                    <p className="mt-2 text-xs text-gray-500">
+                        Ids this browser has used: <span className="font-mono break-all select-all">{ids.join(', ')}</span>.
+                        To see or delete that data, send them to the newspaper advisor.
+                    </p>
+                )}
+                <div className="flex flex-wrap items-center gap-3 mt-4">
+                    <button onClick={() => onChoose('full')} className={buttonClass}>Allow</button>
+                    <button onClick={() => onChoose('aggregate')} className={buttonClass}>No thanks</button>
+                    {onClose && <button onClick={onClose} className="text-gray-500 hover:underline">Close</button>}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// An <a> that navigates in-app, while leaving ctrl/cmd/middle-click to open a new tab as usual.
+const Link = ({ to, children, ...props }) => (
+    <a
+        href={to}
+        onClick={(e) => {
+            if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            e.preventDefault();
+            navigate(to);
+        }}
+        {...props}
+    >
+        {children}
+    </a>
+);
+
+// The header's search field. It only takes the words; the results page has the filters.
+const SearchBox = ({ initialQuery = '' }) => {
+    const [query, setQuery] = useState(initialQuery);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (query.trim()) navigate(searchPath({ query: query.trim() }));
+    };
+
+    return (
+        <form role="search" onSubmit={handleSubmit} className="relative">
+            <input
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search stories"
+                aria-label="Search stories"
+                className="w-36 sm:w-48 lg:w-64 rounded-lg py-2 pl-3 pr-9 text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+            />
+            <button type="submit" aria-label="Search" className="absolute right-2 top-1/2 -translate-y-1/2 text-gray-500 hover:text-red-800">
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24">
+                    <circle cx="11" cy="11" r="7" />
+                    <path strokeLinecap="round" d="M20 20l-3.5-3.5" />
+                </svg>
+            </button>
+        </form>
+    );
+};
+
+// Defined outside App so the search field keeps focus (and what's been typed) when App re-renders.
+// `profile` is the signed-in staff member, or null for readers.
+const SiteHeader = ({ profile, role, currentPath, searchQuery, onLogin, onSignOut }) => {
+    const navLinkClass = (path) =>
+        `hover:text-yellow-400 transition duration-150 ${currentPath === path ? 'text-yellow-400' : ''}`;
+
+    return (
+        <header className="bg-red-800 text-white shadow-lg sticky top-0 z-10">
+            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center gap-4">
+                <div className="flex-shrink-0">
+                    <Link to="/">
+                        <h1 className="text-3xl font-extrabold tracking-tight font-serif">
+                            <span className="text-yellow-400">The Current</span>
+                            <span className="text-xl font-medium block leading-none pt-0.5">Ocean Lakes High School</span>
+                        </h1>
+                    </Link>
+                </div>
+                <nav className="hidden md:flex space-x-6 text-lg font-medium">
+                    {NAV_LINKS.map(([label, path]) => (
+                        <Link key={path} to={path} className={navLinkClass(path)}>{label}</Link>
+                    ))}
+                </nav>
+                <div className="flex items-center space-x-3">
+                    <SearchBox key={searchQuery} initialQuery={searchQuery} />
+                    {profile ? (
+                        <>
+                            <span className="text-sm hidden lg:inline">{profile.displayName} <span className="capitalize text-yellow-300">({role})</span></span>
+                            <button
+                                onClick={onSignOut}
+                                className="px-4 py-2 bg-yellow-500 text-red-800 font-semibold rounded-lg shadow hover:bg-yellow-400 transition duration-200 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-offset-2 focus:ring-offset-red-800"
+                            >
+                                Sign Out
+                            </button>
+                        </>
+                    ) : (
+                        <button
+                            onClick={onLogin}
+                            className="px-4 py-2 bg-yellow-500 text-red-800 font-semibold rounded-lg shadow hover:bg-yellow-400 transition duration-200 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-offset-2 focus:ring-offset-red-800"
+                        >
+                            Editor Login
+                        </button>
+                    )}
+                </div>
+            </div>
+            {/* Mobile Nav */}
+            <div className="md:hidden flex justify-around text-sm py-2 bg-red-700">
+                {NAV_LINKS.map(([label, path]) => (
+                    <Link key={path} to={path} className={navLinkClass(path)}>{label}</Link>
+                ))}
+            </div>
+        </header>
+    );
+};
+
+const ArticleCard = ({ article }) => (
+    <div className="bg-white rounded-xl shadow-lg overflow-hidden transform hover:scale-[1.02] transition duration-300 ease-in-out">
+        <Link to={articlePath(article.slug)}>
+            <HeroImage article={article} sizes="(min-width: 1024px) 400px, (min-width: 768px) 50vw, 100vw" className="w-full h-48 object-cover" />
+        </Link>
+        <div className="p-6">
+            <Link to={sectionPath(article.category)} className="text-xs font-semibold uppercase text-red-600 mb-1 hover:underline">
+                {article.category}
+            </Link>
+            <h3 className="text-xl font-bold text-gray-900 mb-3 line-clamp-2">
+                <Link to={articlePath(article.slug)} className="hover:text-red-800">{article.title}</Link>
+            </h3>
+            <p className="text-gray-600 mb-4 line-clamp-3">{article.summary}</p>
+            <div className="flex justify-between items-center text-sm text-gray-500">
+                <span>By <Link to={authorPath(article.author)} className="hover:underline">{article.author}</Link></span>
+                <Link to={articlePath(article.slug)} className="text-red-800 font-semibold hover:underline">Read More &rarr;</Link>
+            </div>
+        </div>
+    </div>
+);
+
+// Previous/next page buttons; hidden when everything fits on one page.
+const Pager = ({ page, pageCount, onChange, previousLabel = 'Newer', nextLabel = 'Older' }) => {
+    if (pageCount <= 1) return null;
+    return (
+        <div className="flex justify-center items-center space-x-4 mt-8">
+            <button
+                onClick={() => onChange(page - 1)}
+                disabled={page <= 1}
+                className="px-4 py-2 bg-white rounded-lg shadow font-semibold text-red-800 disabled:opacity-40"
+            >
+                &larr; {previousLabel}
+            </button>
+            <span className="text-sm text-gray-600">Page {page} of {pageCount}</span>
+            <button
+                onClick={() => onChange(page + 1)}
+                disabled={page >= pageCount}
+                className="px-4 py-2 bg-white rounded-lg shadow font-semibold text-red-800 disabled:opacity-40"
+            >
+                {nextLabel} &rarr;
+            </button>
+        </div>
+    );
+};
+
+// A paginated grid of published stories. `filter` narrows it to a section ({ category }) or byline ({ author }).
+// `feedUrl`, if given, is linked next to the heading.
+const StoryList = ({ storage, title, filter = {}, emptyMessage = "No stories yet.", feedUrl = null }) => {
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState(null);
+    const { category, author } = filter;
+
+    // Start from the first page whenever the listing changes.
+    useEffect(() => setPage(1), [category, author]);
+
+    useEffect(() => {
+        if (!storage) return;
+
+        const unsubscribe = storage.watch('articles.listPublished', [{ category, author, page, pageSize: STORIES_PER_PAGE }], setResult, (error) => {
+            console.error("Error listening to stories:", error);
+        });
+
+        return () => unsubscribe();
+    }, [storage, category, author, page]);
+
+    const pageCount = result ? Math.max(1, Math.ceil(result.total / result.pageSize)) : 1;
+
+    return (
+        <section className="mt-8">
+            <div className="flex justify-between items-end mb-6 border-b-2 border-red-800 pb-2">
+                <h2 className="text-4xl font-bold text-gray-800 font-serif">{title}</h2>
+                {feedUrl && <a href={feedUrl} className="text-sm text-red-800 font-semibold hover:underline">RSS feed</a>}
+            </div>
+            {!result ? (
+                <p className="text-gray-500">Loading stories...</p>
+            ) : result.articles.length === 0 ? (
+                <p className="text-gray-500">{emptyMessage}</p>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+                    {result.articles.map((article) => <ArticleCard key={article.id} article={article} />)}
+                </div>
+            )}
+            <Pager page={page} pageCount={pageCount} onChange={setPage} />
+        </section>
+    );
+};
+
+// The back-issue archive at /issues: every edition that has come out, grouped by volume.
+const IssuesPage = ({ storage }) => {
+    const [editions, setEditions] = useState(null);
+
+    useEffect(() => {
+        if (!storage) return;
+
+        const unsubscribe = storage.watch('editions.list', [], setEditions, (error) => {
+            console.error("Error loading back issues:", error);
+        });
+
+        return () => unsubscribe();
+    }, [storage]);
+
+    const volumes = useMemo(() => {
+        const grouped = new Map();
+        for (const edition of editions || []) {
+            if (!grouped.has(edition.volume)) grouped.set(edition.volume, []);
+            grouped.get(edition.volume).push(edition);
+        }
+        return [...grouped.entries()];
+    }, [editions]);
+
+    return (
+        <section className="mt-8">
+            <div className="mb-6 border-b-2 border-red-800 pb-2">
+                <h2 className="text-4xl font-bold text-gray-800 font-serif">Back Issues</h2>
+            </div>
+            {!editions ? (
+                <p className="text-gray-500">Loading issues...</p>
+            ) : editions.length === 0 ? (
+                <p className="text-gray-500">No print issues online yet.</p>
+            ) : volumes.map(([volume, volumeEditions]) => (
+                <div key={volume} className="mb-10">
+                    <h3 className="text-2xl font-bold text-red-800 font-serif mb-4">Volume {volume}</h3>
+                    <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
+                        {volumeEditions.map((edition) => (
+                            <Link
+                                key={edition.id}
+                                to={editionPath(edition)}
+                                className="bg-white rounded-xl shadow-lg overflow-hidden hover:shadow-xl transition duration-200"
+                            >
+                                {edition.coverImageUrl ? (
+                                    <img src={edition.coverImageUrl} alt="" className="w-full h-36 object-cover" />
+                                ) : (
+                                    <div className="w-full h-36 bg-red-800 flex items-center justify-center">
+                                        <span className="text-yellow-400 text-2xl font-extrabold font-serif">The Current</span>
+                                    </div>
+                                )}
+                                <div className="p-4">
+                                    <p className="font-bold text-gray-900">Issue {edition.issue}{edition.title && <span className="font-normal">: {edition.title}</span>}</p>
+                                    <p className="text-sm text-gray-500">
+                                        {formatDay(edition.publishedOn)} &middot; {edition.stories} {edition.stories === 1 ? 'story' : 'stories'}
+                                    </p>
+                                </div>
+                            </Link>
+                        ))}
+                    </div>
+                </div>
+            ))}
+        </section>
+    );
+};
+
+// One print edition at /issues/:volume/:issue, its stories in the paper's running order.
+const EditionPage = ({ storage, volume, issue }) => {
+    const [result, setResult] = useState(undefined); // null once we know there's no such edition
+
+    useEffect(() => {
+        if (!storage) return;
+
+        const unsubscribe = storage.watch('editions.getPublished', [volume, issue], setResult, (error) => {
+            console.error("Error loading edition:", error);
+        });
+
+        return () => unsubscribe();
+    }, [storage, volume, issue]);
+
+    useEffect(() => {
+        if (result) document.title = `${editionLabel(result.edition)} | The Current`;
+    }, [result]);
+
+    if (result === undefined) return <p className="text-gray-500 mt-8">Loading issue...</p>;
+    if (result === null) return <NotFoundPage />;
+
+    const { edition, articles } = result;
+    return (
+        <section className="mt-8">
+            <div className="mb-6 border-b-2 border-red-800 pb-2">
+                <Link to={issuesPath} className="text-sm text-red-800 font-semibold hover:underline">&larr; All issues</Link>
+                <h2 className="text-4xl font-bold text-gray-800 font-serif">
+                    {editionLabel(edition)}{edition.title && <span className="font-normal">: {edition.title}</span>}
+                </h2>
+                <p className="text-gray-500">{formatDay(edition.publishedOn)}</p>
+            </div>
+            {articles.length === 0 ? (
+                <p className="text-gray-500">None of this issue's stories are online.</p>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+                    {articles.map((article) => <ArticleCard key={article.id} article={article} />)}
+                </div>
+            )}
+        </section>
+    );
+};
+
+// One search hit: the headline and an excerpt with the matching words highlighted.
+const SearchResult = ({ article, terms }) => (
+    <article className="bg-white rounded-xl shadow-lg p-6 flex gap-6">
+        <Link to={articlePath(article.slug)} className="hidden sm:block flex-shrink-0">
+            <HeroImage article={article} sizes="160px" className="w-40 h-28 object-cover rounded-lg" />
+        </Link>
+        <div className="min-w-0">
+            <p className="text-xs font-semibold uppercase text-red-600 mb-1">
+                <Link to={sectionPath(article.category)} className="hover:underline">{article.category}</Link>
+                <span className="text-gray-400 normal-case font-normal"> &middot; {formatDate(article.publishedAt)}</span>
+            </p>
+            <h3 className="text-xl font-bold text-gray-900 mb-2">
+                <Link to={articlePath(article.slug)} className="hover:text-red-800">{highlightTerms(article.title, terms)}</Link>
+            </h3>
+            <p className="text-gray-600 mb-2">{highlightTerms(searchExcerpt(article, terms), terms)}</p>
+            <p className="text-sm text-gray-500">By <Link to={authorPath(article.author)} className="hover:underline">{article.author}</Link></p>
+        </div>
+    </article>
+);
+
+// Search results at /search, ranked by storage.js. Filters live in the URL, so a filtered search can be
+// bookmarked or shared; dates are whole days of publication (UTC). App keys this page on the URL, so
+// every new search starts fresh on page 1. `onSearch(search, result)` reports each new search.
+const SearchPage = ({ storage, search, onSearch }) => {
+    const { query, category, author, from, to } = search;
+    const [draft, setDraft] = useState(query);
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState(null);
+    const [authors, setAuthors] = useState([]);
+
+    useEffect(() => {
+        if (!storage) return;
+        storage.articles.authors().then(setAuthors, (error) => console.error("Error loading bylines:", error));
+    }, [storage]);
+
+    // A one-off query rather than a watch: results don't need to change under the reader, and a watch
+    // would re-run (and re-report) the search after every write.
+    useEffect(() => {
+        if (!storage || !query) return;
+
+        let cancelled = false;
+        const end = to ? new Date(`${to}T00:00:00.000Z`) : null;
+        if (end) end.setUTCDate(end.getUTCDate() + 1);
+
+        setResult(null);
+        storage.articles.search(query, {
+            category: category || null,
+            author: author || null,
+            from: from ? `${from}T00:00:00.000Z` : null,
+            to: end ? end.toISOString() : null,
+            page,
+            pageSize: STORIES_PER_PAGE,
+        }).then((found) => {
+            if (cancelled) return;
+            setResult(found);
+            if (page === 1) onSearch(search, found);
+        }).catch((error) => {
+            console.error("Search failed:", error);
+            if (!cancelled) showToast("Search isn't working right now. Please try again.", true);
+        });
+
+        return () => { cancelled = true; };
+    }, [storage, page]);
+
+    const update = (changes) => navigate(searchPath({ ...search, ...changes }));
+    const hasFilters = category || author || from || to;
+    const pageCount = result ? Math.max(1, Math.ceil(result.total / result.pageSize)) : 1;
+    const inputClass = "border rounded-lg py-2 px-3 text-gray-700 focus:outline-none focus:ring-2 focus:ring-red-500";
+
+    return (
+        <section className="mt-8 max-w-4xl mx-auto">
+            <h2 className="text-4xl font-bold text-gray-800 mb-6 border-b-2 border-red-800 pb-2 font-serif">Search</h2>
+            <form
+                onSubmit={(e) => {
+                    e.preventDefault();
+                    update({ query: draft.trim() });
+                }}
+                className="bg-white p-4 rounded-xl shadow-lg mb-8 grid grid-cols-1 md:grid-cols-4 gap-3 text-sm"
+            >
+                <input
+                    type="search"
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    placeholder="Search stories"
+                    aria-label="Search stories"
+                    className={`${inputClass} md:col-span-3`}
+                />
+                <button type="submit" className="bg-red-800 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg transition duration-200">
+                    Search
+                </button>
+                <select value={category} onChange={(e) => update({ category: e.target.value })} aria-label="Section" className={inputClass}>
+                    <option value="">All sections</option>
+                    {CATEGORIES.map((c) => <option key={c} value={c}>{c}</option>)}
+                </select>
+                <select value={author} onChange={(e) => update({ author: e.target.value })} aria-label="Byline" className={inputClass}>
+                    <option value="">All writers</option>
+                    {author && !authors.includes(author) && <option value={author}>{author}</option>}
+                    {authors.map((name) => <option key={name} value={name}>{name}</option>)}
+                </select>
+                <label className="flex items-center gap-2 text-gray-500">
+                    From
+                    <input type="date" value={from} max={to || undefined} onChange={(e) => update({ from: e.target.value })} className={`${inputClass} flex-1`} />
+                </label>
+                <label className="flex items-center gap-2 text-gray-500">
+                    To
+                    <input type="date" value={to} min={from || undefined} onChange={(e) => update({ to: e.target.value })} className={`${inputClass} flex-1`} />
+                </label>
+            </form>
+
+            {!query ? (
+                <p className="text-gray-500">Search every story The Current has published by headline, summary or text.</p>
+            ) : !result ? (
+                <p className="text-gray-500">Searching...</p>
+            ) : result.articles.length === 0 ? (
+                <div className="text-gray-600">
+                    <p>No stories match <span className="font-semibold">"{query}"</span>{hasFilters ? ' with these filters' : ''}.</p>
+                    {hasFilters && (
+                        <button
+                            onClick={() => update({ category: '', author: '', from: '', to: '' })}
+                            className="mt-2 text-red-800 font-semibold hover:underline"
+                        >
+                            Search all stories instead
+                        </button>
+                    )}
+                </div>
+            ) : (
+                <>
+                    <p className="text-sm text-gray-500 mb-4">
+                        {result.total.toLocaleString()} {result.total === 1 ? 'story matches' : 'stories match'} <span className="font-semibold">"{query}"</span>
+                    </p>
+                    <div className="space-y-6">
+                        {result.articles.map((article) => <SearchResult key={article.id} article={article} terms={result.terms} />)}
+                    </div>
+                </>
+            )}
+            <Pager page={page} pageCount={pageCount} onChange={setPage} previousLabel="Previous" nextLabel="Next" />
+        </section>
+    );
+};
+
+const NotFoundPage = () => (
+    <section className="mt-16 text-center">
+        <p className="text-6xl font-extrabold text-red-800 font-serif">404</p>
+        <h2 className="text-2xl font-bold text-gray-800 mt-4">We couldn't find that page.</h2>
+        <p className="text-gray-600 mt-2">The story may have been moved or unpublished.</p>
+        <Link to="/" className="inline-block mt-6 px-6 py-3 bg-red-800 text-white font-bold rounded-lg hover:bg-red-700">
+            Back to the front page
+        </Link>
+    </section>
+);
+
+// Approved comments under a story and the form to add one. New comments wait for an editor, so the
+// reader gets a thank-you instead of seeing theirs right away. `getCommenterId()` resolves to the
+// reader's (anonymous) Firebase uid, signing them in on their first comment; editors also get a
+// switch to close comments on the story.
+const CommentSection = ({ storage, article, getCommenterId, canModerate, onToggleComments }) => {
+    const [comments, setComments] = useState([]);
+    const [authorName, setAuthorName] = useState('');
+    const [body, setBody] = useState('');
+    const [isPosting, setIsPosting] = useState(false);
+    const [hasPosted, setHasPosted] = useState(false);
+
+    useEffect(() => {
+        if (!storage) return;
+
+        const unsubscribe = storage.watch('comments.listApproved', [article.id], setComments, (error) => {
+            console.error("Error loading comments:", error);
+        });
+
+        return () => unsubscribe();
+    }, [storage, article.id]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsPosting(true);
+        try {
+            const commenterId = await getCommenterId();
+            await storage.comments.submit(article.id, { authorName: authorName.trim(), body: body.trim(), commenterId });
+            setBody('');
+            setHasPosted(true);
+        } catch (error) {
+            console.error("Posting comment failed:", error);
+            showToast(error.message, true);
+        } finally {
+            setIsPosting(false);
+        }
+    };
+
+    const inputClass = "border rounded-lg w-full py-2 px-3 text-gray-700 focus:outline-none focus:ring-2 focus:ring-red-500";
+
+    return (
+        <section className="bg-white p-8 rounded-xl shadow-lg mt-8">
+            <div className="flex justify-between items-center mb-6 border-b pb-2">
+                <h2 className="text-2xl font-bold text-gray-800 font-serif">
+                    Comments {comments.length > 0 && <span className="text-gray-400 text-lg">({comments.length})</span>}
+                </h2>
+                {canModerate && (
+                    <button onClick={() => onToggleComments(article)} className="text-sm text-red-800 font-semibold hover:underline">
+                        {article.commentsEnabled ? 'Close comments' : 'Reopen comments'}
+                    </button>
+                )}
+            </div>
+
+            {comments.length === 0 ? (
+                <p className="text-gray-500 mb-6">No comments yet.</p>
+            ) : (
+                <ul className="space-y-4 mb-8">
+                    {comments.map((comment) => (
+                        <li key={comment.id} className="border-l-4 border-red-100 pl-4">
+                            <p className="text-sm">
+                                <span className="font-semibold text-gray-800">{comment.authorName}</span>
+                                <span className="text-gray-400"> &middot; {formatDate(comment.createdAt)}</span>
+                            </p>
+                            <p className="text-gray-700 whitespace-pre-wrap">{comment.body}</p>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {!article.commentsEnabled ? (
+                <p className="text-gray-500 text-sm">Comments are closed on this story.</p>
+            ) : hasPosted ? (
+                <div className="p-4 rounded-lg bg-green-50 text-green-800 text-sm">
+                    Thanks! Your comment will appear once an editor approves it.{' '}
+                    <button onClick={() => setHasPosted(false)} className="font-semibold underline">Write another</button>
+                </div>
+            ) : (
+                <form onSubmit={handleSubmit} className="space-y-3">
+                    <input
+                        type="text"
+                        placeholder="Your name"
+                        value={authorName}
+                        maxLength={60}
+                        onChange={(e) => setAuthorName(e.target.value)}
+                        className={inputClass}
+                        required
+                    />
+                    <textarea
+                        rows={4}
+                        placeholder="Add a comment"
+                        value={body}
+                        maxLength={COMMENT_MAX_LENGTH}
+                        onChange={(e) => setBody(e.target.value)}
+                        className={inputClass}
+                        required
+                    />
+                    <div className="flex justify-between items-center">
+                        <p className="text-xs text-gray-500">Comments are reviewed by student editors before they appear.</p>
+                        <button
+                            type="submit"
+                            disabled={isPosting}
+                            className="bg-red-800 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg transition duration-200 disabled:bg-red-400"
+                        >
+                            {isPosting ? 'Posting...' : 'Post Comment'}
+                        </button>
+                    </div>
+                </form>
+            )}
+        </section>
+    );
+};
+
+// A full story at /article/:slug. `onOpen(article)` is called once per story, for analytics.
+// The rest of the props are passed through to CommentSection.
+const ArticlePage = ({ storage, slug, onOpen, getCommenterId, canModerate, onToggleComments }) => {
+    const [article, setArticle] = useState(undefined); // undefined while loading, null if not found
+
+    useEffect(() => {
+        if (!storage) return;
+
+        setArticle(undefined);
+        const unsubscribe = storage.watch('articles.getPublished', [slug], setArticle, (error) => {
+            console.error("Error loading story:", error);
+            setArticle(null);
+        });
+
+        return () => unsubscribe();
+    }, [storage, slug]);
+
+    useEffect(() => {
+        if (article) document.title = `${article.title} | The Current`;
+    }, [article]);
+
+    // Keyed on the id: the watch hands back a fresh object whenever anything in storage changes.
+    const openedId = article ? article.id : null;
+    useEffect(() => {
+        if (openedId) onOpen(article);
+    }, [openedId]);
+
+    const handleShare = async () => {
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: article.title, text: article.summary, url: window.location.href });
+            } else {
+                await navigator.clipboard.writeText(window.location.href);
+                showToast("Link copied to clipboard.");
+            }
+        } catch (error) {
+            // Closing the share sheet rejects with AbortError; that's not a failure.
+            if (error.name !== 'AbortError') showToast("Couldn't share this story.", true);
+        }
+    };
+
+    if (article === undefined) return <p className="mt-8 text-gray-500">Loading story...</p>;
+    if (article === null) return <NotFoundPage />;
+
+    return (
+        <div className="max-w-3xl mx-auto mt-8">
+            <div className="flex justify-between items-center mb-4 text-sm">
+                <Link to={sectionPath(article.category)} className="text-red-800 font-semibold hover:underline">
+                    &larr; More {article.category}
+                </Link>
+                <button onClick={handleShare} className="text-red-800 font-semibold hover:underline">
+                    Share this story
+                </button>
+            </div>
+            <ArticleBody article={article} />
+            <CommentSection
+                storage={storage}
+                article={article}
+                getCommenterId={getCommenterId}
+                canModerate={canModerate}
+                onToggleComments={onToggleComments}
+            />
+        </div>
+    );
+};
+
+// --- Analytics Components ---
+
+// A minimal vertical bar chart. `bars` is [{ label, value }].
+const BarChart = ({ bars }) => {
+    const max = Math.max(1, ...bars.map((bar) => bar.value));
+    return (
+        <div className="flex items-end h-48 gap-1 border-b border-l border-gray-300 px-1">
+            {bars.map((bar) => (
+                <div key={bar.label} className="flex-1 flex flex-col items-center justify-end h-full min-w-0" title={`${bar.label}: ${bar.value.toLocaleString()}`}>
+                    <div className="w-full bg-red-800 hover:bg-red-600 rounded-t" style={{ height: `${(bar.value / max) * 100}%` }} />
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// "YYYY-MM-DD" for a date `daysAgo` days before today (UTC).
+function utcDateString(daysAgo = 0) {
+    return new Date(Date.now() - daysAgo * 86400000).toISOString().slice(0, 10);
+}
+
+// A story photo for editionPdf, re-encoded as a JPEG data URL at most 1600px wide, or null if it
+// can't be loaded or its host doesn't allow reading it back (canvas needs CORS for that).
+function loadPdfImage(url) {
+    return new Promise((resolve) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => {
+            try {
+                const scale = Math.min(1, 1600 / image.naturalWidth);
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.naturalWidth * scale);
+                canvas.height = Math.round(image.naturalHeight * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                resolve({ data: canvas.toDataURL('image/jpeg', 0.85), width: canvas.width, height: canvas.height });
+            } catch (error) {
+                resolve(null);
+            }
+        };
+        image.onerror = () => resolve(null);
+        image.src = url;
+    });
+}
+
+// Has the browser save `contents` as a file called `filename`.
+function downloadFile(filename, type, contents) {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Top stories, per-section totals, a views-over-time chart and reader searches for a chosen date range,
+// which can also be downloaded as CSV or JSON.
+const AnalyticsReport = ({ storage }) => {
+    const [fromDate, setFromDate] = useState(() => utcDateString(29));
+    const [toDate, setToDate] = useState(() => utcDateString(0));
+    const [bucketInterval, setBucketInterval] = useState('day');
+    const [topStories, setTopStories] = useState([]);
+    const [sectionTotals, setSectionTotals] = useState([]);
+    const [series, setSeries] = useState([]);
+    const [summary, setSummary] = useState(null);
+    const [topSearches, setTopSearches] = useState([]);
+    const [emptySearches, setEmptySearches] = useState([]);
+    const [exportError, setExportError] = useState('');
+
+    // Whole UTC days, inclusive of the end date.
+    const range = useMemo(() => {
+        if (!fromDate || !toDate || fromDate > toDate) return null;
+        const end = new Date(`${toDate}T00:00:00.000Z`);
+        end.setUTCDate(end.getUTCDate() + 1);
+        return { from: `${fromDate}T00:00:00.000Z`, to: end.toISOString() };
+    }, [fromDate, toDate]);
+
+    useEffect(() => {
+        if (!storage || !range) return;
+
+        const onError = (error) => console.error("Error loading analytics report:", error);
+        const unsubscribers = [
+            storage.watch('analytics.topArticles', [range, 10], setTopStories, onError),
+            storage.watch('analytics.sectionTotals', [range], setSectionTotals, onError),
+            storage.watch('analytics.series', [range, bucketInterval], setSeries, onError),
+            storage.watch('analytics.summary', [range], setSummary, onError),
+            storage.watch('analytics.topSearches', [range, 10], setTopSearches, onError),
+            storage.watch('analytics.zeroResultSearches', [range, 10], setEmptySearches, onError),
+        ];
+
+        return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+    }, [storage, range, bucketInterval]);
+
+    const handleExport = async (format) => {
+        if (!range) return;
+        setExportError('');
+        try {
+            const data = await storage.analytics.export(range);
+            if (format === 'csv') {
+                downloadFile(exportFilename(data, 'csv'), 'text/csv;charset=utf-8', exportCsv(data));
+            } else {
+                downloadFile(exportFilename(data, 'json'), 'application/json', exportJson(data));
+            }
+        } catch (error) {
+            console.error("Exporting analytics failed:", error);
+            setExportError(`Export failed: ${error.message}`);
+        }
+    };
+
+    const choosePreset = (days) => {
+        setFromDate(utcDateString(days - 1));
+        setToDate(utcDateString(0));
+    };
+
+    const inputClass = "border rounded-lg py-1 px-2 text-gray-700 focus:outline-none focus:ring-2 focus:ring-red-500";
+    const summaryCards = summary ? [
+        ['Raw hits', summary.hits, `includes ${summary.botHits.toLocaleString()} from bots`],
+        ['Page views', summary.views, 'bots and repeat views removed'],
+        ['Unique visitors', summary.uniqueVisitors, 'readers who allowed analytics; ids reset monthly'],
+    ] : [];
+
+    return (
+        <section className="bg-white p-6 rounded-xl shadow-lg mt-8 border-t-4 border-red-800">
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-6 border-b pb-2">
+                <h2 className="text-3xl font-bold text-red-800">Readership</h2>
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                    {[7, 30, 90].map((days) => (
+                        <button key={days} onClick={() => choosePreset(days)} className="px-2 py-1 rounded-lg text-red-800 font-semibold hover:bg-red-50">
+                            {days}d
+                        </button>
+                    ))}
+                    <input type="date" value={fromDate} max={toDate} onChange={(e) => setFromDate(e.target.value)} className={inputClass} />
+                    <span>to</span>
+                    <input type="date" value={toDate} min={fromDate} onChange={(e) => setToDate(e.target.value)} className={inputClass} />
+                    <select value={bucketInterval} onChange={(e) => setBucketInterval(e.target.value)} className={inputClass}>
+                        <option value="day">Daily</option>
+                        <option value="week">Weekly</option>
+                        <option value="month">Monthly</option>
+                    </select>
+                    {['csv', 'json'].map((format) => (
+                        <button
+                            key={format}
+                            onClick={() => handleExport(format)}
+                            disabled={!range}
+                            className="px-2 py-1 rounded-lg border border-red-800 text-red-800 font-semibold hover:bg-red-50 disabled:opacity-50"
+                        >
+                            Export {format.toUpperCase()}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            {exportError && <p className="mb-4 text-sm text-red-600">{exportError}</p>}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+                {summaryCards.map(([label, value, note]) => (
+                    <div key={label} className="bg-red-50 p-4 rounded-xl border-l-4 border-yellow-500">
+                        <p className="text-sm font-medium text-gray-500">{label}</p>
+                        <p className="text-3xl font-extrabold text-red-800 mt-1">{value.toLocaleString()}</p>
+                        <p className="text-xs text-gray-500 mt-1">{note}</p>
+                    </div>
+                ))}
+            </div>
+
+            <div className="mb-8">
+                <p className="text-sm font-medium text-gray-500 mb-2">
+                    Page views over time <span className="text-xs">(dates are UTC)</span>
+                </p>
+                <BarChart bars={series.map((point) => ({ label: point.bucket, value: point.views }))} />
+                {series.length > 0 && (
+                    <div className="flex justify-between text-xs text-gray-500 mt-1">
+                        <span>{series[0].bucket}</span>
+                        <span>{series[series.length - 1].bucket}</span>
+                    </div>
+                )}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                <div className="lg:col-span-2">
+                    <p className="text-sm font-medium text-gray-500 mb-2">Top stories</p>
+                    {topStories.length === 0 ? (
+                        <p className="text-gray-500 text-sm">No story views in this range.</p>
+                    ) : (
+                        <table className="w-full text-left text-sm">
+                            <tbody>
+                                {topStories.map((story, index) => (
+                                    <tr key={story.articleId} className="border-b">
+                                        <td className="py-2 pr-2 text-gray-400">{index + 1}</td>
+                                        <td className="py-2 pr-4">
+                                            <Link to={articlePath(story.slug)} className="font-medium hover:text-red-800">{story.title}</Link>
+                                            <span className="block text-xs text-gray-500">{story.category}</span>
+                                        </td>
+                                        <td className="py-2 text-right font-semibold text-red-800">{story.views.toLocaleString()}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+                <div>
+                    <p className="text-sm font-medium text-gray-500 mb-2">Views by section</p>
+                    <table className="w-full text-left text-sm">
+                        <tbody>
+                            {sectionTotals.map((total) => (
+                                <tr key={total.section} className="border-b">
+                                    <td className="py-2 pr-4">{total.section}</td>
+                                    <td className="py-2 text-right font-semibold text-red-800">{total.views.toLocaleString()}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mt-8">
+                {[
+                    ['What readers search for', topSearches, 'No searches in this range.'],
+                    ["Searches that found nothing", emptySearches, 'Every search in this range found something.'],
+                ].map(([label, searches, emptyMessage]) => (
+                    <div key={label}>
+                        <p className="text-sm font-medium text-gray-500 mb-2">{label}</p>
+                        {searches.length === 0 ? (
+                            <p className="text-gray-500 text-sm">{emptyMessage}</p>
+                        ) : (
+                            <table className="w-full text-left text-sm">
+                                <tbody>
+                                    {searches.map((search) => (
+                                        <tr key={search.terms} className="border-b">
+                                            <td className="py-2 pr-4">
+                                                <Link to={searchPath({ query: search.query })} className="font-medium hover:text-red-800">{search.query}</Link>
+                                                {search.zeroResults > 0 && search.zeroResults < search.searches && (
+                                                    <span className="block text-xs text-gray-500">{search.zeroResults.toLocaleString()} with no results</span>
+                                                )}
+                                            </td>
+                                            <td className="py-2 text-right font-semibold text-red-800">{search.searches.toLocaleString()}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </section>
+    );
+};
+
+// --- Main Application Component ---
+
+const App = () => {
+    const [storage, setStorage] = useState(null);
+    const [auth, setAuth] = useState(null);
+    const [userId, setUserId] = useState(null);
+    const [isAnonymous, setIsAnonymous] = useState(true);
+    const [profile, setProfile] = useState(null);
+    const [staff, setStaff] = useState([]);
+    const [lockouts, setLockouts] = useState([]);
+    const [sessionId, setSessionId] = useState(null); // this device's staff session (storage.sessions)
+    const [isAuthReady, setIsAuthReady] = useState(false);
+    const [consent, setConsent] = useState(readConsent); // null until the reader answers the banner
+    const [showPrivacy, setShowPrivacy] = useState(false);
+    const [viewCount, setViewCount] = useState(0);
+    const [hitCount, setHitCount] = useState(0);
+    const [isLoggingIn, setIsLoggingIn] = useState(false);
+    const [showLogin, setShowLogin] = useState(false);
+    const [firstRunLogin, setFirstRunLogin] = useState(null); // { email, password } of a just-created local admin
+    const [route, setRoute] = useState(() => parseRoute(window.location.pathname, window.location.search));
+    const [newsroomArticles, setNewsroomArticles] = useState([]);
+    const [editor, setEditor] = useState(null); // { article } while the story editor is open; article is null for a new story
+    const [isSavingArticle, setIsSavingArticle] = useState(false);
+    // The remote backend reads the session id at request time, so it also lives outside React state.
+    const sessionIdRef = useRef(null);
+
+    // Also kept in sessionStorage (see effect 12), so a reload carries on with the same session.
+    const rememberSession = useCallback((id, uid = null) => {
+        sessionIdRef.current = id;
+        setSessionId(id);
+        saveStaffSession(id && uid ? { uid, id } : null);
+    }, []);
+
+    // 1. Initialize Authentication (Firebase, or local accounts without a Firebase config)
+    useEffect(() => {
+        const authBackend = openAuth((email, password) => setFirstRunLogin({ email, password }));
+        setAuth(authBackend);
+
+        const unsubscribe = authBackend.onChange(async (user) => {
+            if (user) {
+                setUserId(user.uid);
+                setIsAnonymous(user.isAnonymous);
+            } else {
+                setUserId(null);
+                setIsAnonymous(true);
+            }
+            // Mark auth system as ready after initial check
+            setIsAuthReady(true);
+        });
+
+        // Sign in with the provided custom token. Public visitors stay signed out until they comment
+        // (getCommenterId), so nothing is kept under their uid before they've chosen to take part.
+        const attemptAuth = async () => {
+            try {
+                if (initialAuthToken && !authBackend.local) {
+                    await authBackend.signInWithToken(initialAuthToken);
+                }
+            } catch (error) {
+                console.error("Auth Error during initialization:", error);
+            }
+        };
+
+        attemptAuth();
+
+        return () => unsubscribe();
+    }, []);
+
+    // 2. Open the Storage Backend (after auth is ready, so remote calls can carry an ID token)
+    useEffect(() => {
+        if (!isAuthReady) return;
+
+        let cancelled = false;
+        if (storageConfig.url && auth && auth.local) {
+            console.warn("The school server only accepts Firebase sign-ins; staff features won't work with local accounts.");
+        }
+        const openBackend = storageConfig.url
+            ? Promise.resolve(createRemoteStorage(storageConfig.url, {
+                getToken: () => (auth && auth.currentUser ? auth.currentUser.getIdToken() : null),
+                getSessionId: () => sessionIdRef.current,
+            }))
+            : openBrowserStorage();
+
+        openBackend
+            .then(async (opened) => {
+                if (auth && auth.local) await ensureLocalAdmin(opened);
+                if (!cancelled) setStorage(opened);
+            })
+            .catch((error) => console.error("Error opening storage:", error));
+
+        return () => { cancelled = true; };
+    }, [isAuthReady, auth]);
+
+    // Logs the view as an analytics event. Storage decides whether it counts (not a bot, not a
+    // repeat within this session) and bumps the running totals. Readers who haven't allowed
+    // analytics are only counted in aggregate: no ids, referrer or device.
+    const trackView = useCallback(async (event) => {
+        if (!storage) return;
+        const path = window.location.pathname;
+        const referrer = takeLandingReferrer();
+        try {
+            await storage.analytics.record(analyticsAllowed() ? {
+                path,
+                referrer,
+                device: deviceClass(),
+                userAgent: navigator.userAgent,
+                sessionId: browserSessionId(),
+                visitorId: rotatingVisitorId(),
+                ...event,
+            } : {
+                path,
+                userAgent: navigator.userAgent,
+                aggregate: true,
+                repeat: seenInThisTab(`view ${path}`),
+                ...event,
+            });
+        } catch (error) {
+            console.error("Error tracking page view:", error);
+        }
+    }, [storage]);
+
+    const handleArticleOpen = useCallback((article) => {
+        trackView({ type: 'article_open', articleId: article.id, section: article.category });
+    }, [trackView]);
+
+    // Logs a reader's search and how many stories it found, for the readership report.
+    const handleSearch = useCallback(async (search, result) => {
+        if (!storage) return;
+        const allowed = analyticsAllowed();
+        if (!allowed && seenInThisTab(`search ${searchTerms(search.query).join(' ')} ${search.category || ''} ${search.author || ''}`)) return;
+        try {
+            await storage.analytics.recordSearch({
+                query: search.query,
+                category: search.category || null,
+                author: search.author || null,
+                results: result.total,
+                userAgent: navigator.userAgent,
+                ...(allowed ? { sessionId: browserSessionId(), visitorId: rotatingVisitorId() } : { aggregate: true }),
+            });
+        } catch (error) {
+            console.error("Error logging search:", error);
+        }
+    }, [storage]);
+
+    // 3. Track a Page View for Every Page Shown (after storage is ready)
+    // Story pages are tracked by ArticlePage once the story loads (handleArticleOpen).
+    useEffect(() => {
+        if (!storage || route.page === 'article') return;
+        trackView({ type: 'page_view', section: route.page === 'section' ? route.category : null });
+    }, [storage, route, trackView]);
+
+    // 4. Subscribe to Real-Time View Count (Analytics)
+    useEffect(() => {
+        if (!storage) return;
+
+        const onError = (error) => {
+            console.error("Error listening to analytics data:", error);
+        };
+        const unsubscribers = [
+            storage.watch('counters.get', [VIEW_COUNTER], setViewCount, onError),
+            storage.watch('counters.get', [HIT_COUNTER], setHitCount, onError),
+        ];
+
+        return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+    }, [storage]);
+
+    // Drops a staff session and continues as a public visitor.
+    const returnToPublic = useCallback(async () => {
+        rememberSession(null);
+        await auth.signOut();
+    }, [auth, rememberSession]);
+
+    // Readers get an anonymous account on their first comment; bans and the rate limit hold on to
+    // its uid. Staff comment as themselves.
+    const getCommenterId = useCallback(async () => {
+        const user = auth.currentUser || await auth.signInAnonymously();
+        return user.uid;
+    }, [auth]);
+
+    const handleConsent = useCallback((choice) => {
+        setConsent(saveConsent(choice));
+        setShowPrivacy(false);
+    }, []);
+
+    // 5. Subscribe to the Signed-in Staff Member's Profile
+    // Anonymous visitors have no profile, and staff have none until this device's session is open
+    // (see handleLogin). A profile that is missing or deactivated (including mid-session, e.g. by
+    // the advisor) ends the staff session.
+    useEffect(() => {
+        if (!storage || !userId || isAnonymous || !sessionId) {
+            setProfile(null);
+            return;
+        }
+
+        const unsubscribe = storage.watch('staff.get', [userId], (data) => {
+            if (!data || !data.active) {
+                setProfile(null);
+                showToast("This account has been deactivated. Contact the newspaper advisor.", true);
+                returnToPublic().catch((error) => console.error("Sign out failed:", error));
+                return;
+            }
+            setProfile(data);
+        }, (error) => {
+            console.error("Error listening to staff profile:", error);
+        });
+
+        return () => unsubscribe();
+    }, [storage, userId, isAnonymous, sessionId, returnToPublic]);
+
+    const role = profile ? profile.role : null;
+    const can = useCallback((permission) => hasPermission(role, permission), [role]);
+
+    // 6. Subscribe to the Staff Roster and Lockouts (advisors and admins only)
+    useEffect(() => {
+        if (!storage || !can('manageStaff')) {
+            setStaff([]);
+            setLockouts([]);
+            return;
+        }
+
+        const onError = (error) => {
+            console.error("Error listening to staff roster:", error);
+        };
+        const unsubscribers = [
+            storage.watch('staff.list', [], setStaff, onError),
+            storage.watch('logins.locked', [], setLockouts, onError),
+        ];
+
+        return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+    }, [storage, can]);
+
+    // 7. Subscribe to Every Story, Drafts Included (staff only)
+    useEffect(() => {
+        if (!storage || !can('editArticles')) {
+            setNewsroomArticles([]);
+            return;
+        }
+
+        const unsubscribe = storage.watch('articles.list', [], (result) => setNewsroomArticles(result.articles), (error) => {
+            console.error("Error listening to newsroom stories:", error);
+        });
+
+        return () => unsubscribe();
+    }, [storage, can]);
+
+    // 8. Follow Browser Navigation (back/forward buttons and in-app links)
+    useEffect(() => {
+        const handlePopState = () => setRoute(parseRoute(window.location.pathname, window.location.search));
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    // 9. Publish Scheduled Stories When Their Time Comes
+    // server.js does this for the school server; a browser-local database has only this tab.
+    useEffect(() => {
+        if (!storage || storage.remote) return;
+
+        const publishDue = () => storage.articles.publishDue().catch((error) => {
+            console.error("Scheduled publishing failed:", error);
+        });
+        publishDue();
+        const timer = setInterval(publishDue, 60 * 1000);
+        return () => clearInterval(timer);
+    }, [storage]);
+
+    // 10. Leave the Newsroom When This Device Is Signed Out From Elsewhere
+    // (Deactivation revokes sessions too, but effect 5 already handles that.)
+    useEffect(() => {
+        if (!storage || !userId || !sessionId) return;
+
+        const unsubscribe = storage.watch('sessions.get', [userId, sessionId], (session) => {
+            if (!session || session.revokeReason !== 'revoked') return;
+            showToast("This device was signed out from another device.", true);
+            returnToPublic().catch((error) => console.error("Sign out failed:", error));
+        }, (error) => {
+            console.error("Error listening to session:", error);
+        });
+
+        return () => unsubscribe();
+    }, [storage, userId, sessionId, returnToPublic]);
+
+    // 11. Roll Up Analytics Past the Retention Window
+    // server.js does this for the school server; a browser-local database has only this tab.
+    useEffect(() => {
+        if (!storage || storage.remote) return;
+
+        const purgeExpired = () => storage.analytics.purgeExpired().catch((error) => {
+            console.error("Purging expired analytics failed:", error);
+        });
+        purgeExpired();
+        const timer = setInterval(purgeExpired, 60 * 60 * 1000);
+        return () => clearInterval(timer);
+    }, [storage]);
+
+    // 12. Pick Up This Tab's Staff Session After a Reload
+    // The sign-in outlives a reload but React state doesn't, so the session id saved at sign-in is
+    // checked again. One that was signed out meanwhile signs this tab out.
+    useEffect(() => {
+        if (!storage || !userId || isAnonymous || sessionIdRef.current) return;
+        const saved = readStaffSession();
+        if (!saved || saved.uid !== userId) return;
+
+        let cancelled = false;
+        const resume = async () => {
+            const session = await storage.sessions.get(userId, saved.id);
+            if (cancelled) return;
+            if (session && !session.revokedAt) {
+                rememberSession(session.id, userId);
+            } else {
+                showToast("You were signed out. Please sign in again.", true);
+                await returnToPublic();
+            }
+        };
+        resume().catch((error) => console.error("Error resuming staff session:", error));
+
+        return () => { cancelled = true; };
+    }, [storage, userId, isAnonymous, rememberSession, returnToPublic]);
+
+    // Article pages set their own title once the story loads.
+    useEffect(() => {
+        const titles = {
+            home: 'The Current | Ocean Lakes High School',
+            section: `${route.category} | The Current`,
+            author: `Stories by ${route.name} | The Current`,
+            search: route.query ? `Search: ${route.query} | The Current` : 'Search | The Current',
+            issues: 'Back Issues | The Current',
+            notFound: 'Page Not Found | The Current',
+        };
+        if (titles[route.page]) document.title = titles[route.page];
+    }, [route]);
+
+
+    // --- Authentication Handlers ---
+
+    // Passwords are verified (and stored as salted hashes) by the auth backend (see auth.js). Storage
+    // throttles wrong passwords per email, then opens a session for this device, which it refuses
+    // while the account is locked out or isn't active staff. With the school server, all of that
+    // happens on the server (storage.signIn), which hands back a token to sign in to Firebase with.
+    const handleLogin = useCallback(async (email, password) => {
+        if (isLoggingIn || !auth || !storage) return;
+
+        const address = email.trim();
+        setIsLoggingIn(true);
+        try {
+            saveStaffSession(null); // A session left from an earlier sign-in mustn't be resumed (effect 12)
+            if (storage.remote) {
+                const { token, session } = await storage.signIn(address, password);
+                rememberSession(session.id, session.uid);
+                try {
+                    await auth.signInWithToken(token);
+                } catch (error) {
+                    rememberSession(null);
+                    throw error;
+                }
+                showToast(`Welcome back, ${(await storage.staff.get(session.uid)).displayName}.`);
+                setShowLogin(false);
+                return;
+            }
+
+            const throttled = loginThrottleMessage(await storage.logins.status(address));
+            if (throttled) {
+                showToast(throttled, true);
+                return;
+            }
+
+            let user;
+            try {
+                user = await auth.signIn(address, password);
+            } catch (error) {
+                if (!FAILED_SIGN_IN_CODES.includes(error.code)) throw error;
+                console.error("Login failed:", error);
+                const status = await storage.logins.recordFailure(address);
+                showToast(loginThrottleMessage(status) || AUTH_ERROR_MESSAGES[error.code], true);
+                return;
+            }
+
+            let session;
+            try {
+                session = await storage.sessions.start(user.uid, { userAgent: navigator.userAgent });
+            } catch (error) {
+                await returnToPublic();
+                throw error;
+            }
+            rememberSession(session.id, user.uid);
+            const staffProfile = await storage.staff.get(user.uid);
+            showToast(`Welcome back, ${staffProfile.displayName}.`);
+            setShowLogin(false);
+        } catch (error) {
+            console.error("Login failed:", error);
+            showToast(error instanceof StorageError
+                ? error.message
+                : AUTH_ERROR_MESSAGES[error.code] || "Login failed. Please try again.", true);
+        } finally {
+            setIsLoggingIn(false);
+        }
+    }, [auth, storage, isLoggingIn, returnToPublic, rememberSession]);
+
+    const handleSignOut = useCallback(async () => {
+        if (!auth) return;
+        try {
+            if (storage && sessionIdRef.current) {
+                await storage.sessions.end(userId, sessionIdRef.current).catch((error) => {
+                    console.error("Ending session failed:", error);
+                });
+            }
+            await returnToPublic();
+            showToast("Signed out successfully. Viewing as public.");
+            setShowLogin(false);
+        } catch (error) {
+            console.error("Sign out failed:", error);
+            showToast("Sign out failed.", true);
+        }
+    }, [auth, storage, userId, returnToPublic]);
+
+    // Signs one of your other devices out, e.g. a library computer you forgot to sign out of.
+    const handleRevokeSession = useCallback(async (session) => {
+        if (!storage || !sessionId) return;
+        try {
+            await storage.sessions.revoke(userId, session.id, userId);
+            showToast(`Signed out ${session.device}.`);
+        } catch (error) {
+            console.error("Signing device out failed:", error);
+            showToast(`Couldn't sign that device out: ${error.message}`, true);
+        }
+    }, [storage, userId, sessionId]);
+
+    const handleRevokeOtherSessions = useCallback(async () => {
+        if (!storage || !sessionId) return;
+        try {
+            const count = await storage.sessions.revokeAll(userId, userId, sessionId);
+            showToast(`Signed out ${count} other ${count === 1 ? 'device' : 'devices'}.`);
+        } catch (error) {
+            console.error("Signing devices out failed:", error);
+            showToast(`Couldn't sign your other devices out: ${error.message}`, true);
+        }
+    }, [storage, userId, sessionId]);
+
+    // --- Staff Management Handlers ---
+
+    // Creates the account without signing the advisor out, then emails the invitee a link to choose
+    // their own password (local accounts get a temporary password to pass on instead).
+    const handleInviteStaff = useCallback(async ({ email, displayName, role: inviteRole }) => {
+        if (!auth || !storage || !can('manageStaff')) return false;
+        if (inviteRole === 'admin' && !can('assignAdmin')) {
+            showToast("Only an admin can invite another admin.", true);
+            return false;
+        }
+
+        try {
+            const uid = await auth.createUser(email, generateTemporaryPassword());
+            await storage.staff.save(uid, {
+                email,
+                displayName,
+                role: inviteRole,
+                active: true,
+                invitedBy: userId,
+            });
+            const temporaryPassword = await auth.sendPasswordReset(email);
+            showToast(temporaryPassword
+                ? `Account created. ${email} can sign in with the temporary password ${temporaryPassword}.`
+                : `Invitation sent to ${email}.`);
+            return true;
+        } catch (error) {
+            console.error("Staff invite failed:", error);
+            showToast(AUTH_ERROR_MESSAGES[error.code] || `Invite failed: ${error.message}`, true);
+            return false;
+        }
+    }, [auth, storage, userId, can]);
+
+    // Changes a member's role or active flag. Deactivated members are signed out by their own
+    // profile listener and can no longer sign in.
+    const handleUpdateStaff = useCallback(async (member, changes) => {
+        if (!storage || !can('manageStaff')) return;
+        if (member.uid === userId) {
+            showToast("You can't change your own role or status.", true);
+            return;
+        }
+        if ((changes.role === 'admin' || member.role === 'admin') && !can('assignAdmin')) {
+            showToast("Only an admin can change an admin account.", true);
+            return;
+        }
+
+        try {
+            await storage.staff.save(member.uid, { ...changes, updatedBy: userId });
+            showToast(`Updated ${member.displayName}.`);
+        } catch (error) {
+            console.error("Staff update failed:", error);
+            showToast(`Update failed: ${error.message}`, true);
+        }
+    }, [storage, userId, can]);
+
+    const handleResetStaffPassword = useCallback(async (member) => {
+        if (!auth || !can('manageStaff')) return;
+        try {
+            const temporaryPassword = await auth.sendPasswordReset(member.email);
+            showToast(temporaryPassword
+                ? `${member.email} can now sign in with the temporary password ${temporaryPassword}.`
+                : `Password reset email sent to ${member.email}.`);
+        } catch (error) {
+            console.error("Password reset failed:", error);
+            showToast(`Password reset failed: ${error.message}`, true);
+        }
+    }, [auth, can]);
+
+    const handleUnlockStaff = useCallback(async (member) => {
+        if (!storage || !can('manageStaff')) return;
+        try {
+            await storage.logins.unlock(member.email, userId);
+            showToast(`${member.displayName} can sign in again.`);
+        } catch (error) {
+            console.error("Unlock failed:", error);
+            showToast(`Unlock failed: ${error.message}`, true);
+        }
+    }, [storage, userId, can]);
+
+    // For a lost phone or a shared computer: every device the member is signed in on goes back to
+    // the public site. Their password still works; reset it too if it may be known.
+    const handleSignOutStaffEverywhere = useCallback(async (member) => {
+        if (!storage || !can('manageStaff')) return;
+        try {
+            const count = await storage.sessions.revokeAll(member.uid, userId);
+            showToast(count
+                ? `Signed ${member.displayName} out on ${count} ${count === 1 ? 'device' : 'devices'}.`
+                : `${member.displayName} isn't signed in anywhere.`);
+        } catch (error) {
+            console.error("Signing staff out failed:", error);
+            showToast(`Couldn't sign ${member.displayName} out: ${error.message}`, true);
+        }
+    }, [storage, userId, can]);
+
+    // --- Newsroom Handlers ---
+
+    // Saves the editor's fields (null when the user may only run workflow actions), then runs the
+    // workflow `action`, if any, with its { note, scheduledFor } options.
+    const handleSaveArticle = useCallback(async (fields, action = null, options = {}) => {
+        if (!storage || !can('editArticles') || !editor) return;
+
+        setIsSavingArticle(true);
+        try {
+            let saved = editor.article;
+            if (fields) {
+                saved = await storage.articles.save(saved ? saved.id : null, { ...fields, updatedBy: userId });
+            }
+            if (action) {
+                saved = await storage.articles[action](saved.id, { ...options, updatedBy: userId });
+            }
+            showToast(action ? `"${saved.title}" is now ${STATUS_LABELS[saved.status].toLowerCase()}.` : `Saved "${saved.title}".`);
+            setEditor(null);
+        } catch (error) {
+            console.error("Saving story failed:", error);
+            showToast(`Save failed: ${error.message}`, true);
+        } finally {
+            setIsSavingArticle(false);
+        }
+    }, [storage, can, editor, userId]);
+
+    // Runs a workflow action straight from the newsroom list.
+    const handleArticleAction = useCallback(async (article, action) => {
+        if (!storage || !can('editArticles')) return;
+        try {
+            const updated = await storage.articles[action](article.id, { updatedBy: userId });
+            showToast(`"${updated.title}" is now ${STATUS_LABELS[updated.status].toLowerCase()}.`);
+        } catch (error) {
+            console.error(`Story action ${action} failed:`, error);
+            showToast(`${WORKFLOW[action].label} failed: ${error.message}`, true);
+        }
+    }, [storage, can, userId]);
+
+    // Rolls the open story back to an earlier revision and returns the restored story.
+    const handleRestoreRevision = useCallback(async (revision) => {
+        if (!storage || !editor || !editor.article) return null;
+        try {
+            const restored = await storage.articles.restoreRevision(editor.article.id, revision, userId);
+            showToast(`Restored revision ${revision}.`);
+            return restored;
+        } catch (error) {
+            console.error("Restoring revision failed:", error);
+            showToast(`Restore failed: ${error.message}`, true);
+            return null;
+        }
+    }, [storage, editor, userId]);
+
+    // --- Comment Moderation Handlers ---
+
+    // `action` is 'approve', 'reject' or 'ban' (reject, and stop the commenter posting again).
+    const handleModerateComment = useCallback(async (comment, action) => {
+        if (!storage || !can('moderateComments')) return;
+        try {
+            await storage.comments[action](comment.id, userId);
+            showToast(action === 'ban'
+                ? `Banned ${comment.authorName} and rejected their pending comments.`
+                : `Comment ${action === 'approve' ? 'approved' : 'rejected'}.`);
+        } catch (error) {
+            console.error(`Comment ${action} failed:`, error);
+            showToast(`Couldn't ${action} that comment: ${error.message}`, true);
+        }
+    }, [storage, can, userId]);
+
+    const handleUnbanCommenter = useCallback(async (ban) => {
+        if (!storage || !can('moderateComments')) return;
+        try {
+            await storage.comments.unban(ban.commenterId, userId);
+            showToast(`${ban.displayName} can comment again.`);
+        } catch (error) {
+            console.error("Unban failed:", error);
+            showToast(`Unban failed: ${error.message}`, true);
+        }
+    }, [storage, can, userId]);
+
+    // --- Edition Handlers ---
+
+    // Saves an edition's details, then its running order. Resolves to the saved edition, or null.
+    const handleSaveEdition = useCallback(async (id, fields, articleIds) => {
+        if (!storage || !can('manageEditions')) return null;
+        try {
+            const saved = await storage.editions.save(id, fields, userId);
+            await storage.editions.setArticles(saved.id, articleIds, userId);
+            showToast(`${editionLabel(saved)} saved.`);
+            return saved;
+        } catch (error) {
+            console.error("Saving edition failed:", error);
+            showToast(`Saving the edition failed: ${error.message}`, true);
+            return null;
+        }
+    }, [storage, can, userId]);
+
+    const handleDeleteEdition = useCallback(async (edition) => {
+        if (!storage || !can('manageEditions')) return;
+        try {
+            await storage.editions.delete(edition.id, userId);
+            showToast(`${editionLabel(edition)} deleted. Its stories are still in the newsroom.`);
+        } catch (error) {
+            console.error("Deleting edition failed:", error);
+            showToast(`Deleting the edition failed: ${error.message}`, true);
+        }
+    }, [storage, can, userId]);
+
+    // Builds the edition's PDF (print.js) and downloads it. Photos are drawn in where their host
+    // lets the browser read them back; the rest are left out, and the toast says how many.
+    const handleExportEdition = useCallback(async (edition) => {
+        if (!storage || !can('manageEditions')) return;
+        try {
+            const { articles } = await storage.editions.contents(edition.id);
+            const withPhotos = articles.filter((article) => article.heroImageUrl);
+            const images = {};
+            await Promise.all(withPhotos.map(async (article) => {
+                const image = await loadPdfImage(article.heroImageUrl);
+                if (image) images[article.id] = image;
+            }));
+            const pdf = editionPdf({ edition, articles, images });
+            downloadFile(editionPdfFilename(edition), 'application/pdf', pdf.output('blob'));
+            const missing = withPhotos.filter((article) => !images[article.id]).length;
+            showToast(missing
+                ? `PDF exported without ${missing} photo${missing === 1 ? '' : 's'} that couldn't be loaded.`
+                : 'PDF exported.', missing > 0);
+        } catch (error) {
+            console.error("Exporting edition failed:", error);
+            showToast(`Exporting the edition failed: ${error.message}`, true);
+        }
+    }, [storage, can]);
+
+    // Opens the edition's print layout (print.js) in a new window and brings up the print dialog.
+    // The window is opened before anything is awaited, or popup blockers would stop it.
+    const handlePrintEdition = useCallback(async (edition) => {
+        if (!storage || !can('manageEditions')) return;
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            showToast("Allow pop-ups for this site to print editions.", true);
+            return;
+        }
+        try {
+            const { articles } = await storage.editions.contents(edition.id);
+            printWindow.document.write(editionPrintHtml({ edition, articles, renderBody: renderMarkdown, autoPrint: true }));
+            printWindow.document.close();
+        } catch (error) {
+            printWindow.close();
+            console.error("Printing edition failed:", error);
+            showToast(`Printing the edition failed: ${error.message}`, true);
+        }
+    }, [storage, can]);
+
+    // Only the school server can take uploads (it resizes the photo and strips its metadata).
+    const handleUploadImage = useCallback(async (file) => {
+        if (!storage || !storage.uploadImage || !can('editArticles')) return null;
+        try {
+            const media = await storage.uploadImage(file);
+            showToast('Photo uploaded.');
+            return media;
+        } catch (error) {
+            console.error("Photo upload failed:", error);
+            showToast(`Photo upload failed: ${error.message}`, true);
+            return null;
+        }
+    }, [storage, can]);
+
+    // Returns the saved list, or null if saving failed.
+    const handleSaveBlockedWords = useCallback(async (words) => {
+        if (!storage || !can('moderateComments')) return null;
+        try {
+            const saved = await storage.comments.setBlockedWords(words, userId);
+            showToast(`Word filter saved (${saved.length} words).`);
+            return saved;
+        } catch (error) {
+            console.error("Saving word filter failed:", error);
+            showToast(`Saving the word filter failed: ${error.message}`, true);
+            return null;
+        }
+    }, [storage, can, userId]);
+
+    const handleToggleComments = useCallback(async (article) => {
+        if (!storage || !can('moderateComments')) return;
+        try {
+            const updated = await storage.articles.setCommentsEnabled(article.id, !article.commentsEnabled, userId);
+            showToast(updated.commentsEnabled ? 'Comments reopened.' : 'Comments closed on this story.');
+        } catch (error) {
+            console.error("Toggling comments failed:", error);
+            showToast(`Couldn't change comments: ${error.message}`, true);
+        }
+    }, [storage, can, userId]);
+
+    // --- Reader Privacy Handlers ---
+
+    const handleSaveRetention = useCallback(async (days) => {
+        if (!storage || !can('manageReaderData')) return;
+        try {
+            const saved = await storage.analytics.setRetention(days, userId);
+            showToast(`Raw analytics will be kept for ${saved} days.`);
+        } catch (error) {
+            console.error("Saving analytics retention failed:", error);
+            showToast(`Saving the retention period failed: ${error.message}`, true);
+        }
+    }, [storage, can, userId]);
+
+    // Resolves to everything stored under the visitor ids, or null.
+    const handleLookUpVisitor = useCallback(async (visitorIds) => {
+        if (!storage || !can('manageReaderData')) return null;
+        try {
+            return await storage.analytics.visitorData(visitorIds, userId);
+        } catch (error) {
+            console.error("Looking up visitor data failed:", error);
+            showToast(`Looking up that data failed: ${error.message}`, true);
+            return null;
+        }
+    }, [storage, can, userId]);
+
+    // Resolves to true once the data is deleted.
+    const handleDeleteVisitor = useCallback(async (visitorIds) => {
+        if (!storage || !can('manageReaderData')) return false;
+        try {
+            const deleted = await storage.analytics.deleteVisitor(visitorIds, userId);
+            showToast(`Deleted ${deleted.events} page ${deleted.events === 1 ? 'view' : 'views'} and ${deleted.searches} ${deleted.searches === 1 ? 'search' : 'searches'}.`);
+            return true;
+        } catch (error) {
+            console.error("Deleting visitor data failed:", error);
+            showToast(`Deleting that data failed: ${error.message}`, true);
+            return false;
+        }
+    }, [storage, can, userId]);
+
+    // --- Components ---
+
+    const currentPath = route.page === 'home' ? '/'
+        : route.page === 'section' ? sectionPath(route.category)
+        : route.page === 'issues' || route.page === 'edition' ? issuesPath
+        : null;
+
+    const AdminDashboard = () => (
+        <section className="bg-red-50 p-6 rounded-xl shadow-lg mt-8 border-t-4 border-red-800">
+            <h2 className="text-3xl font-bold text-red-800 mb-6 border-b pb-2">Admin Dashboard (Analytics)</h2>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div className="bg-white p-6 rounded-xl shadow-md border-l-4 border-yellow-500">
+                    <p className="text-sm font-medium text-gray-500">Total Page Views</p>
+                    <p className="text-4xl font-extrabold text-red-800 mt-1">
+                        {isAuthReady ? viewCount.toLocaleString() : 'Loading...'}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">
+                        {hitCount.toLocaleString()} raw hits before removing bots and repeat views
+                    </p>
+                </div>
+                <div className="bg-white p-6 rounded-xl shadow-md border-l-4 border-yellow-500">
+                    <p className="text-sm font-medium text-gray-500">Signed in as</p>
+                    <p className="text-base font-semibold text-gray-700 mt-1 break-all">
+                        {profile.email} <span className="capitalize text-red-800">({role})</span>
+                    </p>
+                </div>
+                <div className="bg-white p-6 rounded-xl shadow-md border-l-4 border-yellow-500">
+                    <p className="text-sm font-medium text-gray-500">Data Source</p>
+                    <p className="text-base font-semibold text-gray-700 mt-1">
+                        {storage ? storage.backend : 'Connecting...'}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1 break-all">
+                        SQL schema v{SCHEMA_VERSION} &middot; counter `{VIEW_COUNTER}`
+                    </p>
+                </div>
+            </div>
+        </section>
+    );
+
+    return (
+        <div className="min-h-screen bg-gray-100 font-sans">
+            <style>{`
+                /* Font setup */
+                @import url('https://fonts.googleapis.com/css2?family=Inter:wght@100..900&family=Playfair+Display:ital,wght@0,400..900;1,400..900&display=swap');
+                .font-sans { font-family: 'Inter', sans-serif; }
+                .font-serif { font-family: 'Playfair Display', serif; }
+
+                /* Custom scrollbar for better aesthetics */
+                ::-webkit-scrollbar { width: 8px; }
+                ::-webkit-scrollbar-thumb { 
+                    background-color: #D0312D; /* Red-800 */
+                    border-radius: 4px;
+                }
+                ::-webkit-scrollbar-track { 
+                    background-color: #f1f1f1;
+                }
+
+                /* Rendered Markdown story bodies */
+                .article-body p { margin-bottom: 1rem; line-height: 1.75; }
+                .article-body h2 { font-size: 1.5rem; font-weight: 700; margin: 1.5rem 0 0.75rem; }
+                .article-body h3 { font-size: 1.25rem; font-weight: 700; margin: 1.25rem 0 0.5rem; }
+                .article-body ul { list-style: disc; padding-left: 1.5rem; margin-bottom: 1rem; }
+                .article-body ol { list-style: decimal; padding-left: 1.5rem; margin-bottom: 1rem; }
+                .article-body blockquote { border-left: 4px solid #D0312D; padding-left: 1rem; font-style: italic; color: #4b5563; margin-bottom: 1rem; }
+                .article-body a { color: #991b1b; text-decoration: underline; }
+                .article-body img { max-width: 100%; border-radius: 0.5rem; margin: 1rem 0; }
+            `}</style>
+            
+            {/* Toast Container for notifications */}
+            <div id="toast-container" className="fixed top-20 right-4 z-50 max-w-xs w-full"></div>
+
+            <SiteHeader
+                profile={profile}
+                role={role}
+                currentPath={currentPath}
+                searchQuery={route.page === 'search' ? route.query : ''}
+                onLogin={() => setShowLogin(true)}
+                onSignOut={handleSignOut}
+            />
+
+            <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+                {route.page === 'home' && (
+                    <>
+                        {can('viewAnalytics') && <AdminDashboard />}
+                        {can('moderateComments') && (
+                            <CommentModeration
+                                storage={storage}
+                                onModerate={handleModerateComment}
+                                onUnban={handleUnbanCommenter}
+                                onSaveBlockedWords={handleSaveBlockedWords}
+                            />
+                        )}
+                        {can('viewAnalytics') && <AnalyticsReport storage={storage} />}
+                        {can('manageStaff') && (
+                            <StaffManager
+                                staff={staff}
+                                lockouts={lockouts}
+                                currentUid={userId}
+                                currentRole={role}
+                                onInvite={handleInviteStaff}
+                                onUpdate={handleUpdateStaff}
+                                onResetPassword={handleResetStaffPassword}
+                                onUnlock={handleUnlockStaff}
+                                onSignOutEverywhere={handleSignOutStaffEverywhere}
+                            />
+                        )}
+                        {can('viewAuditLog') && <AuditLog storage={storage} />}
+                        {can('manageReaderData') && (
+                            <ReaderPrivacy
+                                storage={storage}
+                                onSaveRetention={handleSaveRetention}
+                                onLookUp={handleLookUpVisitor}
+                                onDelete={handleDeleteVisitor}
+                            />
+                        )}
+                        {can('editArticles') && (editor ? (
+                            <ArticleEditor
+                                key={editor.article ? editor.article.id : 'new'}
+                                storage={storage}
+                                article={editor.article}
+                                role={role}
+                                defaultAuthor={profile.displayName}
+                                isSaving={isSavingArticle}
+                                onSave={handleSaveArticle}
+                                onRestore={handleRestoreRevision}
+                                onUpload={storage && storage.uploadImage ? handleUploadImage : null}
+                                onCancel={() => setEditor(null)}
+                            />
+                        ) : (
+                            <Newsroom
+                                articles={newsroomArticles}
+                                role={role}
+                                onNew={() => setEditor({ article: null })}
+                                onEdit={(article) => setEditor({ article })}
+                                onAction={handleArticleAction}
+                            />
+                        ))}
+                        {can('manageEditions') && (
+                            <EditionManager
+                                storage={storage}
+                                articles={newsroomArticles}
+                                onSave={handleSaveEdition}
+                                onDelete={handleDeleteEdition}
+                                onExport={handleExportEdition}
+                                onPrint={handlePrintEdition}
+                            />
+                        )}
+
+                        {can('viewDashboard') && (
+                            <SessionList
+                                storage={storage}
+                                uid={userId}
+                                currentSessionId={sessionId}
+                                onRevoke={handleRevokeSession}
+                                onRevokeOthers={handleRevokeOtherSessions}
+                            />
+                        )}
+
+                        <StoryList storage={storage} title="Latest Stories" />
+                    </>
+                )}
+                {route.page === 'section' && (
+                    <StoryList
+                        storage={storage}
+                        title={route.category}
+                        filter={{ category: route.category }}
+                        emptyMessage={`No ${route.category} stories yet.`}
+                        feedUrl={feedOrigin && `${feedOrigin}${feedPath('rss', route.category)}`}
+                    />
+                )}
+                {route.page === 'author' && (
+                    <StoryList
+                        storage={storage}
+                        title={`Stories by ${route.name}`}
+                        filter={{ author: route.name }}
+                        emptyMessage={`${route.name} doesn't have any published stories.`}
+                    />
+                )}
+                {route.page === 'issues' && <IssuesPage storage={storage} />}
+                {route.page === 'edition' && (
+                    <EditionPage storage={storage} volume={route.volume} issue={route.issue} />
+                )}
+                {route.page === 'search' && (
+                    <SearchPage key={searchPath(route)} storage={storage} search={route} onSearch={handleSearch} />
+                )}
+                {route.page === 'article' && (
+                    <ArticlePage
+                        storage={storage}
+                        slug={route.slug}
+                        onOpen={handleArticleOpen}
+                        getCommenterId={getCommenterId}
+                        canModerate={can('moderateComments')}
+                        onToggleComments={handleToggleComments}
+                    />
+                )}
+                {route.page === 'notFound' && <NotFoundPage />}
+            </main>
+
+            <footer className="bg-gray-800 text-white mt-12">
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 text-center">
+                    <p>&copy; {new Date().getFullYear()} The Current Newspaper | Ocean Lakes High School. All rights reserved.</p>
+                    <p className="text-xs mt-2">Powered by {auth && auth.local ? 'Local Accounts' : 'Firebase'} & React | Analytics Count: {viewCount.toLocaleString()}</p>
+                    <p className="text-xs mt-2">
+                        <button onClick={() => setShowPrivacy(true)} className="underline hover:text-yellow-400">Privacy settings</button>
+                    </p>
+                    {feedOrigin && (
+                        <p className="text-xs mt-2">
+                            Follow along: <a href={`${feedOrigin}${feedPath('rss')}`} className="underline hover:text-yellow-400">RSS</a>
+                            {' '}&middot;{' '}<a href={`${feedOrigin}${feedPath('atom')}`} className="underline hover:text-yellow-400">Atom</a>
+                        </p>
+                    )}
+                </div>
+            </footer>
+
+            {(!consent || showPrivacy) && (
+                <ConsentBanner
+                    consent={consent}
+                    onChoose={handleConsent}
+                    onClose={consent ? () => setShowPrivacy(false) : null}
+                />
+            )}
+
+            {firstRunLogin && <FirstRunNotice {...firstRunLogin} onClose={() => setFirstRunLogin(null)} />}
 
-            {showLogin && <LoginPage />}
+            {showLogin && (
+                <LoginPage
+                    onSubmit={handleLogin}
+                    onCancel={() => setShowLogin(false)}
+                    isLoggingIn={isLoggingIn}
+                />
+            )}
         </div>
     );
 };
@@ -0,0 +1,75 @@
+// Photo uploads for The Current (server-side only; see server.js).
+//
+// Every upload is turned into a few JPEGs of different widths for `srcset`. Re-encoding with sharp
+// drops all metadata (EXIF, GPS, XMP, camera serial numbers), so a student photographer's location
+// never reaches the public site. The files go into a media store: here a folder on disk standing in
+// for an object store, behind the same put/get-by-key interface an S3 bucket would have.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+
+// Widths of the copies made of every photo. Photos narrower than a width skip it (no upscaling);
+// the widest copy is the photo at its own size, capped at the last width.
+export const IMAGE_WIDTHS = [480, 960, 1600];
+
+export const MAX_UPLOAD_BYTES = 15 * 1024 * 1024;
+
+export const UPLOAD_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif', 'image/tiff'];
+
+const JPEG_QUALITY = 82;
+
+// Resizes `buffer` into JPEG variants, smallest first: [{ width, height, data }]. Throws if sharp
+// can't read it as an image.
+export async function processImage(buffer) {
+    // Bake the EXIF orientation into the pixels before the metadata goes, so phone photos stay upright.
+    const { data: upright, info } = await sharp(buffer, { failOn: 'error' })
+        .rotate()
+        .toBuffer({ resolveWithObject: true });
+
+    const largest = Math.min(info.width, IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1]);
+    const widths = [...IMAGE_WIDTHS.filter((width) => width < largest), largest];
+
+    const variants = [];
+    for (const width of widths) {
+        const { data, info: resized } = await sharp(upright)
+            .resize({ width, withoutEnlargement: true })
+            .flatten({ background: '#ffffff' }) // JPEG has no transparency
+            .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+            .toBuffer({ resolveWithObject: true });
+        variants.push({ width: resized.width, height: resized.height, data });
+    }
+    return variants;
+}
+
+// Object keys look like "<uuid>/<width>.jpg". Anything else is refused, which also keeps keys from
+// escaping the store's folder.
+const MEDIA_KEY = /^[0-9a-f-]{36}\/\d{1,5}\.jpg$/;
+
+export const mediaKey = (id, width) => `${id}/${width}.jpg`;
+
+// A minimal object store on the local filesystem: whole objects, flat string keys.
+export function createFileMediaStore(root) {
+    const fileFor = (key) => {
+        if (!MEDIA_KEY.test(key)) throw new Error(`Invalid media key: ${key}`);
+        return path.join(root, key);
+    };
+
+    return {
+        async put(key, data) {
+            const file = fileFor(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, data);
+        },
+        // The object's bytes, or null if there's no such object.
+        async get(key) {
+            if (!MEDIA_KEY.test(key)) return null;
+            try {
+                return await fs.readFile(fileFor(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+    };
+}
@@ -0,0 +1,308 @@
+// The print layout of an edition: letter-size pages, a masthead in the site header's colours and
+// the stories flowing through three newspaper columns. Two renderings of the same layout:
+//
+//   editionPdf       a PDF file (jsPDF), for the newsroom's Export PDF and the printer
+//   editionPrintHtml one HTML document, for the newsroom's Print button and the browser's print dialog
+//
+// Like site.js, both take plain objects: no DOM, no storage.
+
+import { jsPDF } from 'jspdf';
+import { marked } from 'marked';
+import { SITE_NAME, editionLabel } from './site.js';
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// "March 14, 2025" for a "YYYY-MM-DD" print date (which has no time zone to shift it).
+function printDate(day) {
+    return new Date(`${day}T12:00:00Z`).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+// Header colours (bg-red-800, text-yellow-400) and fonts, so the paper matches the site.
+const STYLES = `
+    @page { size: letter; margin: 0.6in 0.5in; }
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: Georgia, 'Times New Roman', serif; color: #111827; font-size: 10pt; line-height: 1.45; }
+    .masthead { background: #991b1b; color: #fff; padding: 14pt 18pt 10pt; text-align: center;
+        -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .masthead h1 { margin: 0; color: #facc15; font-size: 44pt; font-weight: 800; letter-spacing: -0.02em; line-height: 1; }
+    .masthead .school { font-size: 13pt; margin-top: 2pt; }
+    .dateline { display: flex; justify-content: space-between; border-bottom: 3px double #991b1b; padding: 5pt 0;
+        margin-bottom: 12pt; font-family: Arial, sans-serif; font-size: 8.5pt; text-transform: uppercase; letter-spacing: 0.05em; }
+    .inside { font-family: Arial, sans-serif; font-size: 8.5pt; margin: -6pt 0 12pt; color: #4b5563; }
+    .inside strong { color: #991b1b; }
+    .columns { column-count: 3; column-gap: 16pt; column-rule: 0.5pt solid #d1d5db; }
+    article { margin-bottom: 14pt; }
+    article + article { border-top: 1pt solid #991b1b; padding-top: 8pt; }
+    .lead { column-span: all; margin-bottom: 14pt; }
+    .lead .body { column-count: 3; column-gap: 16pt; column-rule: 0.5pt solid #d1d5db; }
+    .section { font-family: Arial, sans-serif; font-size: 7.5pt; font-weight: bold; text-transform: uppercase; color: #dc2626; }
+    h2 { font-size: 15pt; line-height: 1.15; margin: 2pt 0 4pt; break-after: avoid; }
+    .lead h2 { font-size: 26pt; }
+    .byline { font-family: Arial, sans-serif; font-size: 8pt; color: #4b5563; margin-bottom: 5pt; }
+    figure { margin: 0 0 6pt; break-inside: avoid; }
+    figure img { width: 100%; max-height: 3.2in; object-fit: cover; display: block; }
+    figcaption { font-family: Arial, sans-serif; font-size: 7pt; color: #6b7280; text-align: right; margin-top: 2pt; }
+    .body p { margin: 0 0 6pt; text-align: justify; hyphens: auto; orphans: 2; widows: 2; }
+    .body h2, .body h3 { font-size: 11pt; margin: 8pt 0 3pt; }
+    .body blockquote { margin: 6pt 0; padding-left: 6pt; border-left: 2pt solid #991b1b; font-style: italic; }
+    .body img { max-width: 100%; }
+    .body a { color: inherit; text-decoration: none; }
+    @media screen { body { max-width: 8.5in; margin: 0 auto; padding: 0.5in; background: #fff; } }
+`;
+
+function storyHtml(article, renderBody, isLead) {
+    const alt = article.heroImageAlt || article.title;
+    const figure = article.heroImageUrl ? `
+      <figure>
+        <img src="${escapeHtml(article.heroImageUrl)}" alt="${escapeHtml(alt)}">
+        ${article.heroImageCredit ? `<figcaption>Photo: ${escapeHtml(article.heroImageCredit)}</figcaption>` : ''}
+      </figure>` : '';
+    return `
+    <article class="${isLead ? 'lead' : ''}">
+      <div class="section">${escapeHtml(article.category)}</div>
+      <h2>${escapeHtml(article.title)}</h2>
+      <div class="byline">By ${escapeHtml(article.author)}</div>${figure}
+      <div class="body">${renderBody(article.body)}</div>
+    </article>`;
+}
+
+// The whole print document for `edition` and its `articles` in running order; the first is the
+// lead story and spans the page. `renderBody(markdown)` must return sanitized HTML. With
+// `autoPrint`, the print dialog opens once the images have loaded.
+export function editionPrintHtml({ edition, articles, renderBody, autoPrint = false }) {
+    const label = editionLabel(edition);
+    const sections = [...new Set(articles.map((article) => article.category))];
+    const [lead, ...rest] = articles;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(`${SITE_NAME}, ${label}`)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <header class="masthead">
+    <h1>${escapeHtml(SITE_NAME)}</h1>
+    <div class="school">Ocean Lakes High School</div>
+  </header>
+  <div class="dateline">
+    <span>${escapeHtml(label)}</span>
+    <span>${escapeHtml(edition.title || 'Virginia Beach, Virginia')}</span>
+    <span>${edition.publishedOn ? escapeHtml(printDate(edition.publishedOn)) : 'Proof'}</span>
+  </div>
+  ${sections.length ? `<div class="inside"><strong>Inside:</strong> ${sections.map(escapeHtml).join(' &middot; ')}</div>` : ''}
+  <main>${lead ? storyHtml(lead, renderBody, true) : '<p>No stories in this edition yet.</p>'}
+    <div class="columns">${rest.map((article) => storyHtml(article, renderBody, false)).join('')}
+    </div>
+  </main>${autoPrint ? `
+  <script>window.addEventListener('load', () => window.print());</script>` : ''}
+</body>
+</html>
+`;
+}
+
+// --- PDF ---
+
+// Letter size in points, with the same margins as the HTML layout's @page.
+const PDF_PAGE = { width: 612, height: 792, marginX: 36, marginY: 43 };
+const PDF_COLUMNS = 3;
+const PDF_COLUMN_GAP = 16;
+const PDF_COLORS = { red: '#991b1b', yellow: '#facc15', section: '#dc2626', text: '#111827', muted: '#4b5563', rule: '#d1d5db' };
+// The tallest a photo may be, as in the HTML layout (3.2in).
+const PDF_MAX_IMAGE_HEIGHT = 230;
+
+// The plain text of inline Markdown tokens (bold, links, code...), since the PDF sets body text in one face.
+const inlineText = (tokens = []) => tokens
+    .map((token) => (token.tokens ? inlineText(token.tokens) : token.type === 'br' ? '\n' : token.type === 'html' ? '' : token.text || ''))
+    .join('')
+    .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'");
+
+// A story body as [{ kind: 'heading' | 'quote' | 'text', text }] blocks. Raw HTML and images are
+// left out: the PDF only carries each story's hero photo.
+function bodyBlocks(markdown) {
+    const blocks = [];
+    const walk = (tokens, kind) => {
+        for (const token of tokens) {
+            if (token.type === 'heading') blocks.push({ kind: 'heading', text: inlineText(token.tokens) });
+            else if (token.type === 'paragraph' || token.type === 'text') blocks.push({ kind, text: inlineText(token.tokens || [token]) });
+            else if (token.type === 'blockquote') walk(token.tokens, 'quote');
+            else if (token.type === 'list') {
+                token.items.forEach((item, index) => {
+                    blocks.push({ kind, text: `${token.ordered ? `${(token.start || 1) + index}.` : '\u2022'} ${inlineText(item.tokens.flatMap((t) => t.tokens || [t]))}` });
+                });
+            } else if (token.type === 'code') blocks.push({ kind, text: token.text });
+        }
+    };
+    walk(marked.lexer(markdown || ''), 'text');
+    return blocks.filter((block) => block.text.trim());
+}
+
+// The edition as a jsPDF document; call .save(filename) or .output('blob') on it. `articles` are in
+// running order and the first is the lead story, which spans the page. `images` maps a story's id
+// to its loaded hero photo, { data, width, height } with `data` a JPEG or PNG data URL; stories
+// without one are set without a photo.
+export function editionPdf({ edition, articles, images = {} }) {
+    const doc = new jsPDF({ unit: 'pt', format: 'letter' });
+    const { width, height, marginX, marginY } = PDF_PAGE;
+    const contentWidth = width - 2 * marginX;
+    const columnWidth = (contentWidth - (PDF_COLUMNS - 1) * PDF_COLUMN_GAP) / PDF_COLUMNS;
+    const bottom = height - marginY;
+    const label = editionLabel(edition);
+
+    const setFont = (family, style, size, color = PDF_COLORS.text) => {
+        doc.setFont(family, style);
+        doc.setFontSize(size);
+        doc.setTextColor(color);
+    };
+
+    // --- Masthead ---
+    doc.setFillColor(PDF_COLORS.red);
+    doc.rect(marginX, marginY, contentWidth, 72, 'F');
+    setFont('times', 'bold', 44, PDF_COLORS.yellow);
+    doc.text(SITE_NAME, width / 2, marginY + 42, { align: 'center' });
+    setFont('times', 'normal', 13, '#ffffff');
+    doc.text('Ocean Lakes High School', width / 2, marginY + 62, { align: 'center' });
+
+    let y = marginY + 72 + 16;
+    setFont('helvetica', 'normal', 8.5);
+    doc.text(label.toUpperCase(), marginX, y);
+    doc.text((edition.title || 'Virginia Beach, Virginia').toUpperCase(), width / 2, y, { align: 'center' });
+    doc.text((edition.publishedOn ? printDate(edition.publishedOn) : 'Proof').toUpperCase(), width - marginX, y, { align: 'right' });
+    doc.setDrawColor(PDF_COLORS.red);
+    doc.setLineWidth(0.75);
+    doc.line(marginX, y + 6, width - marginX, y + 6);
+    doc.line(marginX, y + 8.5, width - marginX, y + 8.5);
+    y += 24;
+
+    const sections = [...new Set(articles.map((article) => article.category))];
+    if (sections.length) {
+        setFont('helvetica', 'bold', 8.5, PDF_COLORS.red);
+        doc.text('Inside:', marginX, y);
+        setFont('helvetica', 'normal', 8.5, PDF_COLORS.muted);
+        doc.text(sections.join(' \u00b7 '), marginX + doc.getTextWidth('Inside: ') + 8, y);
+        y += 18;
+    }
+
+    // --- Columns ---
+    // Text flows down a column, then into the next, then onto a new page.
+    let column = 0;
+    let top = y;
+    const columnX = () => marginX + column * (columnWidth + PDF_COLUMN_GAP);
+    const drawRules = () => {
+        doc.setDrawColor(PDF_COLORS.rule);
+        doc.setLineWidth(0.5);
+        for (let i = 1; i < PDF_COLUMNS; i++) {
+            const x = marginX + i * (columnWidth + PDF_COLUMN_GAP) - PDF_COLUMN_GAP / 2;
+            doc.line(x, top, x, bottom);
+        }
+    };
+    const nextColumn = () => {
+        column += 1;
+        if (column === PDF_COLUMNS) {
+            doc.addPage();
+            column = 0;
+            top = marginY;
+            drawRules();
+        }
+        y = top;
+    };
+    const makeRoom = (needed) => {
+        if (y + needed > bottom && y > top) nextColumn();
+    };
+    // Lines of `text` at the current font, `lineHeight` apart, across `lineWidth`.
+    const writeLines = (text, lineHeight, { lineWidth = columnWidth, spanning = false } = {}) => {
+        for (const line of doc.splitTextToSize(text, lineWidth)) {
+            if (!spanning) makeRoom(lineHeight);
+            y += lineHeight;
+            doc.text(line, spanning ? marginX : columnX(), y - lineHeight * 0.25);
+        }
+    };
+    // A photo across `areaWidth`, scaled down (and centred) if it would be taller than the limit.
+    const writePhoto = (article, areaWidth, spanning) => {
+        const image = images[article.id];
+        if (!image) return;
+        const photoHeight = Math.min(areaWidth * (image.height / image.width), PDF_MAX_IMAGE_HEIGHT);
+        const photoWidth = photoHeight * (image.width / image.height);
+        if (!spanning) makeRoom(photoHeight + 12);
+        const left = (spanning ? marginX : columnX()) + (areaWidth - photoWidth) / 2;
+        const format = image.data.startsWith('data:image/png') ? 'PNG' : 'JPEG';
+        doc.addImage(image.data, format, left, y + 2, photoWidth, photoHeight);
+        y += photoHeight + 4;
+        if (article.heroImageCredit) {
+            setFont('helvetica', 'normal', 7, '#6b7280');
+            doc.text(`Photo: ${article.heroImageCredit}`, left + photoWidth, y + 7, { align: 'right' });
+            y += 9;
+        }
+        y += 4;
+    };
+    const writeBody = (article) => {
+        for (const block of bodyBlocks(article.body)) {
+            if (block.kind === 'heading') {
+                setFont('times', 'bold', 11);
+                makeRoom(30); // Keep a heading with the text after it
+                y += 4;
+                writeLines(block.text, 13);
+            } else {
+                setFont('times', block.kind === 'quote' ? 'italic' : 'normal', 10);
+                writeLines(block.text, 14);
+                y += 4;
+            }
+        }
+    };
+
+    const [lead, ...rest] = articles;
+    if (!lead) {
+        setFont('times', 'normal', 10);
+        doc.text('No stories in this edition yet.', marginX, y + 10);
+    } else {
+        // The lead's headline, byline and photo span the page; its story starts the columns.
+        setFont('helvetica', 'bold', 7.5, PDF_COLORS.section);
+        writeLines(lead.category.toUpperCase(), 10, { lineWidth: contentWidth, spanning: true });
+        setFont('times', 'bold', 26);
+        writeLines(lead.title, 29, { lineWidth: contentWidth, spanning: true });
+        setFont('helvetica', 'normal', 8, PDF_COLORS.muted);
+        writeLines(`By ${lead.author}`, 12, { lineWidth: contentWidth, spanning: true });
+        y += 4;
+        writePhoto(lead, contentWidth, true);
+        top = y;
+        drawRules();
+        writeBody(lead);
+    }
+
+    for (const article of rest) {
+        makeRoom(70); // Don't leave a headline at the foot of a column
+        y += 10;
+        doc.setDrawColor(PDF_COLORS.red);
+        doc.setLineWidth(1);
+        doc.line(columnX(), y - 4, columnX() + columnWidth, y - 4);
+        setFont('helvetica', 'bold', 7.5, PDF_COLORS.section);
+        writeLines(article.category.toUpperCase(), 11);
+        setFont('times', 'bold', 15);
+        writeLines(article.title, 17);
+        setFont('helvetica', 'normal', 8, PDF_COLORS.muted);
+        writeLines(`By ${article.author}`, 12);
+        y += 2;
+        writePhoto(article, columnWidth, false);
+        writeBody(article);
+    }
+
+    // Page footers, once the page count is known.
+    const pages = doc.getNumberOfPages();
+    for (let page = 1; page <= pages; page++) {
+        doc.setPage(page);
+        setFont('helvetica', 'normal', 7.5, PDF_COLORS.muted);
+        doc.text(`${SITE_NAME} \u00b7 ${label}`, marginX, height - marginY / 2);
+        doc.text(`Page ${page} of ${pages}`, width - marginX, height - marginY / 2, { align: 'right' });
+    }
+    return doc;
+}
+
+// "the-current-vol-12-issue-3.pdf" for an edition.
+export function editionPdfFilename(edition) {
+    return `${`${SITE_NAME} ${editionLabel(edition)}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}.pdf`;
+}
@@ -0,0 +1,157 @@
+// Readership reports for The Current: CSV and JSON downloads of the analytics for a date range, and
+// the weekly summary email that compares one week with the week before.
+//
+// Like site.js this is shared: the Readership panel (gemini.js) builds the downloads in the browser,
+// and the school server (server.js) renders and mails the weekly report. Everything here works on
+// the object returned by storage.analytics.export(range) and returns strings; sending is up to the caller.
+
+import { SITE_NAME, articlePath } from './site.js';
+
+// --- Dates ---
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The last full week (Monday to Monday, UTC) before `date`: { from, to }, `to` exclusive.
+export function reportWeek(date = new Date()) {
+    const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+    return { from: new Date(monday.getTime() - 7 * DAY_MS).toISOString(), to: monday.toISOString() };
+}
+
+// The range of the same length immediately before `range`.
+export function previousRange({ from, to }) {
+    const length = new Date(to) - new Date(from);
+    return { from: new Date(new Date(from).getTime() - length).toISOString(), to: from };
+}
+
+// "2024-09-02 to 2024-09-08": the range's first and last whole day.
+function rangeLabel({ from, to }) {
+    return `${from.slice(0, 10)} to ${new Date(new Date(to).getTime() - DAY_MS).toISOString().slice(0, 10)}`;
+}
+
+// --- Downloads ---
+
+// "readership-2024-09-01-to-2024-09-30.csv"
+export function exportFilename(data, extension) {
+    return `readership-${rangeLabel(data).replace(/ /g, '-')}.${extension}`;
+}
+
+export function exportJson(data) {
+    return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+// Quotes a CSV field when it needs it, and defuses values a spreadsheet would run as a formula.
+function csvField(value) {
+    let text = value == null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvRows = (rows) => rows.map((row) => row.map(csvField).join(',')).join('\r\n');
+
+// One CSV file with three tables one after another, separated by a blank line: the totals, one row
+// per day, and the top stories. Spreadsheets open it as a single sheet.
+export function exportCsv(data) {
+    return `${[
+        csvRows([
+            ['Range', 'Raw hits', 'Page views', 'Bot hits', 'Unique visitors'],
+            [rangeLabel(data), data.summary.hits, data.summary.views, data.summary.botHits, data.summary.uniqueVisitors],
+        ]),
+        csvRows([
+            ['Date', 'Raw hits', 'Page views', 'Unique visitors'],
+            ...data.days.map((day) => [day.date, day.hits, day.views, day.uniqueVisitors]),
+        ]),
+        csvRows([
+            ['Rank', 'Story', 'Section', 'Slug', 'Views'],
+            ...data.topArticles.map((article, index) => [index + 1, article.title, article.category, article.slug, article.views]),
+        ]),
+    ].join('\r\n\r\n')}\r\n`;
+}
+
+// --- Weekly Report ---
+
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// "+12%", "-3%", "new" (nothing last week) or "no change".
+function changeLabel(current, previous) {
+    if (current === previous) return 'no change';
+    if (!previous) return 'new';
+    const percent = Math.round(((current - previous) / previous) * 100);
+    return `${percent > 0 ? '+' : ''}${percent}%`;
+}
+
+const REPORT_STORIES = 5;
+
+// The weekly email: { subject, html, text }. `current` and `previous` are storage.analytics.export()
+// results for this week and last. Mail clients ignore <style> blocks, so the HTML styles are inline.
+export function weeklyReport({ current, previous, siteUrl }) {
+    const metrics = [
+        ['Page views', current.summary.views, previous.summary.views],
+        ['Unique visitors', current.summary.uniqueVisitors, previous.summary.uniqueVisitors],
+        ['Raw hits', current.summary.hits, previous.summary.hits],
+    ];
+    const lastWeekViews = new Map(previous.topArticles.map((article) => [article.articleId, article.views]));
+    const stories = current.topArticles.slice(0, REPORT_STORIES).map((article) => ({
+        ...article,
+        change: changeLabel(article.views, lastWeekViews.get(article.articleId) || 0),
+    }));
+    const lastWeekSections = new Map(previous.sections.map((total) => [total.section, total.views]));
+    const sections = current.sections.map((total) => ({
+        ...total,
+        change: changeLabel(total.views, lastWeekSections.get(total.section) || 0),
+    }));
+
+    const week = rangeLabel(current);
+    const subject = `${SITE_NAME} readership, ${week}`;
+
+    const cell = 'padding:6px 12px;border-bottom:1px solid #eee;';
+    const number = `${cell}text-align:right;`;
+    const heading = 'font-family:Georgia,serif;color:#991b1b;';
+    const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f9fafb;font-family:Arial,sans-serif;color:#1f2937;">
+  <div style="max-width:640px;margin:0 auto;background:#fff;padding:24px;border-top:4px solid #991b1b;">
+    <h1 style="${heading}margin:0 0 4px;">${escapeHtml(SITE_NAME)} readership</h1>
+    <p style="margin:0 0 24px;color:#6b7280;">${escapeHtml(week)} (UTC), compared with ${escapeHtml(rangeLabel(previous))}</p>
+    <table style="width:100%;border-collapse:collapse;margin-bottom:24px;">
+      <tr><th style="${cell}text-align:left;"></th><th style="${number}">This week</th><th style="${number}">Last week</th><th style="${number}">Change</th></tr>
+${metrics.map(([label, now, before]) => `      <tr><td style="${cell}">${label}</td><td style="${number}font-weight:bold;">${now.toLocaleString('en-US')}</td><td style="${number}">${before.toLocaleString('en-US')}</td><td style="${number}">${changeLabel(now, before)}</td></tr>`).join('\n')}
+    </table>
+    <h2 style="${heading}font-size:18px;">Top stories</h2>
+${stories.length ? `    <table style="width:100%;border-collapse:collapse;margin-bottom:24px;">
+${stories.map((story, index) => `      <tr><td style="${cell}color:#9ca3af;">${index + 1}</td><td style="${cell}"><a href="${escapeHtml(`${siteUrl}${articlePath(story.slug)}`)}" style="color:#1f2937;">${escapeHtml(story.title)}</a><br><span style="font-size:12px;color:#6b7280;">${escapeHtml(story.category)}</span></td><td style="${number}font-weight:bold;">${story.views.toLocaleString('en-US')}</td><td style="${number}">${story.change}</td></tr>`).join('\n')}
+    </table>` : '    <p style="color:#6b7280;">No story views this week.</p>'}
+    <h2 style="${heading}font-size:18px;">Views by section</h2>
+    <table style="width:100%;border-collapse:collapse;margin-bottom:24px;">
+${sections.map((total) => `      <tr><td style="${cell}">${escapeHtml(total.section)}</td><td style="${number}font-weight:bold;">${total.views.toLocaleString('en-US')}</td><td style="${number}">${total.change}</td></tr>`).join('\n')}
+    </table>
+    <p style="font-size:12px;color:#6b7280;">Page views leave out bots and repeat views in the same tab. Unique visitors count readers who allowed analytics, by anonymous ids that reset monthly. Download the full numbers from the Readership panel on <a href="${escapeHtml(siteUrl)}" style="color:#991b1b;">${escapeHtml(siteUrl)}</a>.</p>
+  </div>
+</body>
+</html>
+`;
+
+    const text = [
+        `${SITE_NAME} readership, ${week} (UTC)`,
+        `Compared with ${rangeLabel(previous)}`,
+        '',
+        ...metrics.map(([label, now, before]) => `${label}: ${now.toLocaleString('en-US')} (last week ${before.toLocaleString('en-US')}, ${changeLabel(now, before)})`),
+        '',
+        'Top stories:',
+        ...(stories.length
+            ? stories.map((story, index) => `${index + 1}. ${story.title} (${story.category}): ${story.views.toLocaleString('en-US')} views, ${story.change}`)
+            : ['No story views this week.']),
+        '',
+        'Views by section:',
+        ...sections.map((total) => `${total.section}: ${total.views.toLocaleString('en-US')} (${total.change})`),
+        '',
+    ].join('\n');
+
+    return { subject, html, text };
+}
@@ -0,0 +1,205 @@
+// Public URLs and machine-readable views of The Current: RSS 2.0 and Atom feeds, sitemap.xml and the
+// Open Graph/Twitter tags that give shared links a preview card.
+//
+// The app (gemini.js) builds its links with the path helpers here, and the school server (server.js)
+// renders the feeds, sitemap and tags with the rest, so both always agree on where a story lives.
+// Every function takes plain article objects (see storage.js) and returns strings; nothing here
+// touches the network or the database.
+
+import { CATEGORIES } from './storage.js';
+
+export const SITE_NAME = 'The Current';
+export const SITE_DESCRIPTION = 'Student news from Ocean Lakes High School in Virginia Beach.';
+
+// --- Paths ---
+
+export const sectionPath = (category) => `/${category.toLowerCase()}`;
+export const articlePath = (slug) => `/article/${encodeURIComponent(slug)}`;
+export const authorPath = (name) => `/author/${encodeURIComponent(name)}`;
+
+// The back-issue archive, and one print edition in it: /issues/12/3.
+export const issuesPath = '/issues';
+export const editionPath = (edition) => `${issuesPath}/${edition.volume}/${edition.issue}`;
+
+// "Vol. 12, Issue 3"
+export const editionLabel = (edition) => `Vol. ${edition.volume}, Issue ${edition.issue}`;
+
+// Feeds for the whole site (`category` null) or one section: /feed.xml, /sports/atom.xml, ...
+export const feedPath = (format, category = null) => `${category ? sectionPath(category) : ''}/${format === 'atom' ? 'atom' : 'feed'}.xml`;
+
+// Fallback image for stories without a hero image.
+export function placeholderImage(category) {
+    return `https://placehold.co/600x400/D0312D/FFFFFF?text=${encodeURIComponent(category.toUpperCase())}`;
+}
+
+// --- Rendering ---
+
+function escapeXml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// The most recent change among `articles`, for a feed's "last updated" date.
+function latestUpdate(articles) {
+    return articles.reduce((latest, article) => (article.updatedAt > latest ? article.updatedAt : latest), '1970-01-01T00:00:00.000Z');
+}
+
+function feedTitle(category) {
+    return category ? `${SITE_NAME}: ${category}` : SITE_NAME;
+}
+
+// RSS 2.0 for `articles`, newest first. `siteUrl` is the absolute origin, e.g. "https://thecurrent.example".
+export function rssFeed(articles, { siteUrl, category = null }) {
+    const link = `${siteUrl}${category ? sectionPath(category) : '/'}`;
+    const items = articles.map((article) => {
+        const url = `${siteUrl}${articlePath(article.slug)}`;
+        return `    <item>
+      <title>${escapeXml(article.title)}</title>
+      <link>${escapeXml(url)}</link>
+      <guid isPermaLink="true">${escapeXml(url)}</guid>
+      <pubDate>${new Date(article.publishedAt).toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(article.author)}</dc:creator>
+      <category>${escapeXml(article.category)}</category>
+      <description>${escapeXml(article.summary)}</description>${article.heroImageUrl ? `
+      <media:content url="${escapeXml(article.heroImageUrl)}" medium="image">${article.heroImageAlt ? `
+        <media:description>${escapeXml(article.heroImageAlt)}</media:description>` : ''}${article.heroImageCredit ? `
+        <media:credit>${escapeXml(article.heroImageCredit)}</media:credit>` : ''}
+      </media:content>` : ''}
+    </item>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(feedTitle(category))}</title>
+    <link>${escapeXml(link)}</link>
+    <description>${escapeXml(SITE_DESCRIPTION)}</description>
+    <language>en-us</language>
+    <lastBuildDate>${new Date(latestUpdate(articles)).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(`${siteUrl}${feedPath('rss', category)}`)}" rel="self" type="application/rss+xml" />
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+// Atom 1.0 for `articles`, newest first. Entry ids are the stories' permanent URLs.
+export function atomFeed(articles, { siteUrl, category = null }) {
+    const self = `${siteUrl}${feedPath('atom', category)}`;
+    const entries = articles.map((article) => {
+        const url = `${siteUrl}${articlePath(article.slug)}`;
+        return `  <entry>
+    <title>${escapeXml(article.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(url)}" />
+    <id>${escapeXml(url)}</id>
+    <published>${article.publishedAt}</published>
+    <updated>${article.updatedAt}</updated>
+    <author><name>${escapeXml(article.author)}</name></author>
+    <category term="${escapeXml(article.category)}" />
+    <summary>${escapeXml(article.summary)}</summary>
+  </entry>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feedTitle(category))}</title>
+  <subtitle>${escapeXml(SITE_DESCRIPTION)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(self)}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(`${siteUrl}${category ? sectionPath(category) : '/'}`)}" />
+  <id>${escapeXml(self)}</id>
+  <updated>${latestUpdate(articles)}</updated>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+// sitemap.xml listing the front page, every section, every published story and byline, and the
+// back-issue archive. `articles` is every published story (storage.articles.publishedIndex()) and
+// `editions` every edition that has come out (storage.editions.list()).
+export function sitemap(articles, { siteUrl, editions = [] }) {
+    const latest = latestUpdate(articles);
+    const bySection = (category) => latestUpdate(articles.filter((article) => article.category === category));
+    const authors = new Map();
+    for (const article of articles) {
+        if (!authors.has(article.author) || article.updatedAt > authors.get(article.author)) {
+            authors.set(article.author, article.updatedAt);
+        }
+    }
+
+    const urls = [
+        ['/', latest, 'hourly'],
+        ...CATEGORIES.map((category) => [sectionPath(category), bySection(category), 'daily']),
+        ...articles.map((article) => [articlePath(article.slug), article.updatedAt, 'monthly']),
+        ...[...authors.entries()].map(([author, updatedAt]) => [authorPath(author), updatedAt, 'weekly']),
+        ...(editions.length ? [[issuesPath, latestUpdate(editions), 'weekly']] : []),
+        ...editions.map((edition) => [editionPath(edition), edition.updatedAt, 'monthly']),
+    ];
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(([path, lastmod, changefreq]) => `  <url>
+    <loc>${escapeXml(`${siteUrl}${path}`)}</loc>
+    <lastmod>${lastmod.slice(0, 10)}</lastmod>
+    <changefreq>${changefreq}</changefreq>
+  </url>`).join('\n')}
+</urlset>
+`;
+}
+
+// --- Link Previews ---
+
+// <head> tags for a page: its title and description, Open Graph and Twitter card tags, and links to the
+// feeds. Pass `article` for a story page, `category` for a section page, or just a `title` for any
+// other page; none of them means the front page.
+export function pageHead({ siteUrl, path, article = null, category = null, title: pageTitle = null }) {
+    const heading = article ? article.title : category || pageTitle;
+    const title = heading ? `${heading} | ${SITE_NAME}` : `${SITE_NAME} | Ocean Lakes High School`;
+    const description = article ? article.summary : SITE_DESCRIPTION;
+    const url = `${siteUrl}${article ? articlePath(article.slug) : path}`;
+
+    const meta = [
+        ['name', 'description', description],
+        ['property', 'og:site_name', SITE_NAME],
+        ['property', 'og:type', article ? 'article' : 'website'],
+        ['property', 'og:title', article ? article.title : title],
+        ['property', 'og:description', description],
+        ['property', 'og:url', url],
+        ['name', 'twitter:title', article ? article.title : title],
+        ['name', 'twitter:description', description],
+    ];
+    if (article) {
+        const image = article.heroImageUrl || placeholderImage(article.category);
+        meta.push(
+            ['property', 'og:image', image],
+            ['property', 'og:image:alt', article.heroImageAlt || article.title],
+            ['property', 'article:published_time', article.publishedAt],
+            ['property', 'article:modified_time', article.updatedAt],
+            ['property', 'article:section', article.category],
+            ['property', 'article:author', article.author],
+            ['name', 'twitter:card', 'summary_large_image'],
+            ['name', 'twitter:image', image],
+        );
+    } else {
+        meta.push(['name', 'twitter:card', 'summary']);
+    }
+
+    const feeds = [[feedPath('rss'), 'application/rss+xml', SITE_NAME], [feedPath('atom'), 'application/atom+xml', SITE_NAME]];
+    const section = category || (article && article.category);
+    if (section) {
+        feeds.push(
+            [feedPath('rss', section), 'application/rss+xml', feedTitle(section)],
+            [feedPath('atom', section), 'application/atom+xml', feedTitle(section)],
+        );
+    }
+
+    return [
+        `<title>${escapeXml(title)}</title>`,
+        `<link rel="canonical" href="${escapeXml(url)}">`,
+        ...meta.map(([attribute, key, content]) => `<meta ${attribute}="${key}" content="${escapeXml(content)}">`),
+        ...feeds.map(([href, type, feedName]) => `<link rel="alternate" type="${type}" title="${escapeXml(feedName)}" href="${escapeXml(`${siteUrl}${href}`)}">`),
+    ].join('\n');
+}
@@ -0,0 +1,2348 @@
+// Storage layer for The Current.
+//
+// All analytics and content live in a SQL database behind one interface, `storage`, so the app
+// doesn't care where the data is:
+//   - createSqliteDriver: SQLite via sql.js, for local development and tests (browser or Node).
+//   - createPostgresDriver: PostgreSQL via `pg`, for the school server (see server.js).
+//   - createRemoteStorage: the browser's view of the school server, same methods over HTTP.
+//
+// The schema is versioned: MIGRATIONS run once each, in order, and are recorded in schema_migrations.
+
+// --- Roles ---
+
+// Ordered from least to most privileged. Shared by the app and the server's access checks.
+export const ROLES = ['writer', 'editor', 'advisor', 'admin'];
+
+// Returns true if `role` is at least as privileged as `minimum`.
+export function roleAtLeast(role, minimum) {
+    if (!role || !ROLES.includes(role)) return false;
+    return ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+}
+
+// --- Errors ---
+
+// Thrown for requests the storage layer refuses (bad input, missing permissions). `status` doubles
+// as the HTTP status when the error crosses the network.
+export class StorageError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'StorageError';
+        this.status = status;
+    }
+}
+
+// --- Schema ---
+
+// Append new migrations to the end; never edit one that has shipped. Statements must work on both
+// SQLite and PostgreSQL, so stick to TEXT/INTEGER columns and ISO-8601 timestamps. A statement is
+// a SQL string, a [sql, params] pair (handy for seed data) or, for data that has to be computed in
+// JavaScript, an async function of the transaction's driver.
+export const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'counters_and_staff',
+        up: [
+            `CREATE TABLE counters (
+                name TEXT PRIMARY KEY,
+                count INTEGER NOT NULL DEFAULT 0,
+                updated_at TEXT NOT NULL
+            )`,
+            `CREATE TABLE staff (
+                uid TEXT PRIMARY KEY,
+                email TEXT NOT NULL UNIQUE,
+                display_name TEXT NOT NULL,
+                role TEXT NOT NULL,
+                active INTEGER NOT NULL DEFAULT 1,
+                invited_by TEXT,
+                updated_by TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            )`,
+        ],
+    },
+    {
+        version: 2,
+        name: 'articles',
+        up: [
+            `CREATE TABLE articles (
+                id TEXT PRIMARY KEY,
+                slug TEXT NOT NULL UNIQUE,
+                title TEXT NOT NULL,
+                summary TEXT NOT NULL,
+                body TEXT NOT NULL,
+                author TEXT NOT NULL,
+                category TEXT NOT NULL,
+                hero_image_url TEXT,
+                status TEXT NOT NULL DEFAULT 'draft',
+                published_at TEXT,
+                created_by TEXT,
+                updated_by TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            )`,
+            'CREATE INDEX articles_status_published_at ON articles (status, published_at)',
+            // The four launch stories that used to be hardcoded on the homepage.
+            ...[
+                ['robotics-regional-championship', 'Dolphin Robotics Team Wins Regional Championship',
+                    'The Ocean Lakes Robotics Team secured a major victory, qualifying for the national finals after a thrilling regional competition...',
+                    'Jane Smith', 'News', 'https://placehold.co/600x400/D0312D/FFFFFF?text=Robotics+Victory', '2024-10-07T12:00:00.000Z'],
+                ['vbcps-grading-policy-changes', 'Analyzing the New VBCPS Grading Policy Changes',
+                    'Our opinion columnist breaks down how the latest shifts in the Virginia Beach City Public Schools grading system will impact student stress and academic integrity.',
+                    'Alex Johnson', 'Opinion', 'https://placehold.co/600x400/1E40AF/FFFFFF?text=Grading+Policy', '2024-10-06T12:00:00.000Z'],
+                ['volleyball-undefeated-season-start', 'Volleyball Dominates in Undefeated Season Start',
+                    "The Ocean Lakes Girls' Volleyball team has set an incredible pace, sweeping their first five opponents. We look into the keys to their success this year.",
+                    'Chris Lee', 'Sports', 'https://placehold.co/600x400/059669/FFFFFF?text=Volleyball+Action', '2024-10-05T12:00:00.000Z'],
+                ['cafeteria-healthy-lunch-review', "Review: The Cafeteria's New Healthy Lunch Initiative",
+                    'Students offer their honest reviews of the new menu items designed to boost nutrition. Is it a hit or a miss? Find out inside.',
+                    'Taylor Brown', 'Lifestyle', 'https://placehold.co/600x400/F59E0B/FFFFFF?text=School+Lunch', '2024-10-04T12:00:00.000Z'],
+            ].map(([slug, title, summary, author, category, heroImageUrl, publishedAt]) => [
+                `INSERT INTO articles (id, slug, title, summary, body, author, category, hero_image_url, status, published_at, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'published', ?, ?, ?)`,
+                [slug, slug, title, summary, summary, author, category, heroImageUrl, publishedAt, publishedAt, publishedAt],
+            ]),
+        ],
+    },
+    {
+        version: 3,
+        name: 'analytics_events',
+        up: [
+            `CREATE TABLE analytics_events (
+                id TEXT PRIMARY KEY,
+                type TEXT NOT NULL,
+                path TEXT NOT NULL,
+                article_id TEXT,
+                section TEXT,
+                referrer TEXT,
+                device TEXT NOT NULL,
+                occurred_at TEXT NOT NULL
+            )`,
+            'CREATE INDEX analytics_events_occurred_at ON analytics_events (occurred_at)',
+            'CREATE INDEX analytics_events_article ON analytics_events (article_id, occurred_at)',
+        ],
+    },
+    {
+        version: 4,
+        name: 'analytics_dedup',
+        up: [
+            'ALTER TABLE analytics_events ADD COLUMN session_id TEXT',
+            'ALTER TABLE analytics_events ADD COLUMN visitor_id TEXT',
+            'ALTER TABLE analytics_events ADD COLUMN is_bot INTEGER NOT NULL DEFAULT 0',
+            'ALTER TABLE analytics_events ADD COLUMN counted INTEGER NOT NULL DEFAULT 1',
+            'CREATE INDEX analytics_events_session_path ON analytics_events (session_id, path)',
+        ],
+    },
+    {
+        version: 5,
+        name: 'editorial_workflow',
+        up: [
+            'ALTER TABLE articles ADD COLUMN scheduled_for TEXT',
+            'ALTER TABLE articles ADD COLUMN review_note TEXT',
+            `CREATE TABLE article_revisions (
+                id TEXT PRIMARY KEY,
+                article_id TEXT NOT NULL,
+                revision INTEGER NOT NULL,
+                title TEXT NOT NULL,
+                summary TEXT NOT NULL,
+                body TEXT NOT NULL,
+                author TEXT NOT NULL,
+                category TEXT NOT NULL,
+                hero_image_url TEXT,
+                note TEXT,
+                saved_by TEXT,
+                saved_at TEXT NOT NULL,
+                UNIQUE (article_id, revision)
+            )`,
+            'CREATE INDEX articles_status_scheduled_for ON articles (status, scheduled_for)',
+            // Existing stories start their history at revision 1.
+            `INSERT INTO article_revisions (id, article_id, revision, title, summary, body, author, category, hero_image_url, note, saved_by, saved_at)
+             SELECT id || '-r1', id, 1, title, summary, body, author, category, hero_image_url, 'Original version', created_by, updated_at
+             FROM articles`,
+        ],
+    },
+    {
+        version: 6,
+        name: 'search',
+        up: [
+            `CREATE TABLE article_terms (
+                article_id TEXT NOT NULL,
+                term TEXT NOT NULL,
+                weight INTEGER NOT NULL,
+                PRIMARY KEY (article_id, term)
+            )`,
+            'CREATE INDEX article_terms_term ON article_terms (term)',
+            `CREATE TABLE search_queries (
+                id TEXT PRIMARY KEY,
+                query TEXT NOT NULL,
+                normalized TEXT NOT NULL,
+                category TEXT,
+                author TEXT,
+                results INTEGER NOT NULL,
+                session_id TEXT,
+                visitor_id TEXT,
+                is_bot INTEGER NOT NULL DEFAULT 0,
+                occurred_at TEXT NOT NULL
+            )`,
+            'CREATE INDEX search_queries_occurred_at ON search_queries (occurred_at)',
+            'CREATE INDEX search_queries_session ON search_queries (session_id, normalized)',
+            async (tx) => {
+                const rows = await tx.query('SELECT id, title, summary, body FROM articles');
+                for (const row of rows) await indexArticle(tx, row);
+            },
+        ],
+    },
+    {
+        version: 7,
+        name: 'comments',
+        up: [
+            'ALTER TABLE articles ADD COLUMN comments_enabled INTEGER NOT NULL DEFAULT 1',
+            `CREATE TABLE comments (
+                id TEXT PRIMARY KEY,
+                article_id TEXT NOT NULL,
+                author_name TEXT NOT NULL,
+                body TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                commenter_id TEXT NOT NULL,
+                moderated_by TEXT,
+                moderated_at TEXT,
+                created_at TEXT NOT NULL
+            )`,
+            'CREATE INDEX comments_article_status ON comments (article_id, status, created_at)',
+            'CREATE INDEX comments_status ON comments (status, created_at)',
+            'CREATE INDEX comments_commenter ON comments (commenter_id, created_at)',
+            `CREATE TABLE comment_bans (
+                commenter_id TEXT PRIMARY KEY,
+                display_name TEXT NOT NULL,
+                banned_by TEXT,
+                created_at TEXT NOT NULL
+            )`,
+            // Small settings editors can change from the app, stored as JSON. A missing row means the default.
+            `CREATE TABLE settings (
+                name TEXT PRIMARY KEY,
+                value TEXT NOT NULL,
+                updated_by TEXT,
+                updated_at TEXT NOT NULL
+            )`,
+        ],
+    },
+    {
+        version: 8,
+        name: 'media',
+        up: [
+            // Photos uploaded to the school server. `variants` is a JSON array of the resized copies.
+            `CREATE TABLE media (
+                id TEXT PRIMARY KEY,
+                original_name TEXT,
+                width INTEGER NOT NULL,
+                height INTEGER NOT NULL,
+                variants TEXT NOT NULL,
+                uploaded_by TEXT,
+                created_at TEXT NOT NULL
+            )`,
+            'ALTER TABLE articles ADD COLUMN hero_media_id TEXT',
+            'ALTER TABLE articles ADD COLUMN hero_image_srcset TEXT',
+            'ALTER TABLE articles ADD COLUMN hero_image_alt TEXT',
+            'ALTER TABLE articles ADD COLUMN hero_image_credit TEXT',
+            'ALTER TABLE article_revisions ADD COLUMN hero_media_id TEXT',
+            'ALTER TABLE article_revisions ADD COLUMN hero_image_alt TEXT',
+            'ALTER TABLE article_revisions ADD COLUMN hero_image_credit TEXT',
+        ],
+    },
+    {
+        version: 9,
+        name: 'weekly_reports',
+        up: [
+            // One row per weekly readership report sent, so a restart doesn't send the same week twice.
+            `CREATE TABLE report_deliveries (
+                week_start TEXT PRIMARY KEY,
+                recipients TEXT NOT NULL,
+                sent_at TEXT NOT NULL
+            )`,
+        ],
+    },
+    {
+        version: 10,
+        name: 'editions',
+        up: [
+            // Numbered print issues ("Vol. 12, Issue 3"). An edition shows on the site from its print date.
+            `CREATE TABLE editions (
+                id TEXT PRIMARY KEY,
+                volume INTEGER NOT NULL,
+                issue INTEGER NOT NULL,
+                title TEXT,
+                published_on TEXT,
+                created_by TEXT,
+                updated_by TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                UNIQUE (volume, issue)
+            )`,
+            // A story is in at most one edition, at `edition_position` in its running order.
+            'ALTER TABLE articles ADD COLUMN edition_id TEXT',
+            'ALTER TABLE articles ADD COLUMN edition_position INTEGER',
+            'CREATE INDEX idx_articles_edition ON articles (edition_id, edition_position)',
+        ],
+    },
+    {
+        version: 11,
+        name: 'security',
+        up: [
+            // Every staff sign-in attempt by email, for throttling: 'failure', 'success', or 'unlock'
+            // when an advisor lifts a lockout. Failures before the latest success or unlock don't count.
+            `CREATE TABLE login_attempts (
+                id TEXT PRIMARY KEY,
+                email TEXT NOT NULL,
+                outcome TEXT NOT NULL,
+                user_agent TEXT,
+                ip TEXT,
+                occurred_at TEXT NOT NULL
+            )`,
+            'CREATE INDEX idx_login_attempts_email ON login_attempts (email, occurred_at)',
+            // One row per signed-in staff device. A revoked session stays for the record.
+            `CREATE TABLE sessions (
+                id TEXT PRIMARY KEY,
+                uid TEXT NOT NULL,
+                device TEXT,
+                user_agent TEXT,
+                ip TEXT,
+                created_at TEXT NOT NULL,
+                last_seen_at TEXT NOT NULL,
+                revoked_at TEXT,
+                revoked_by TEXT,
+                revoke_reason TEXT
+            )`,
+            'CREATE INDEX idx_sessions_uid ON sessions (uid, revoked_at)',
+            // Who did what in the newsroom. `actor_name` is copied in so entries survive staff changes,
+            // and `details` is JSON.
+            `CREATE TABLE audit_log (
+                id TEXT PRIMARY KEY,
+                actor_uid TEXT,
+                actor_name TEXT,
+                action TEXT NOT NULL,
+                target_type TEXT,
+                target_id TEXT,
+                summary TEXT NOT NULL,
+                details TEXT,
+                occurred_at TEXT NOT NULL
+            )`,
+            'CREATE INDEX idx_audit_log_occurred ON audit_log (occurred_at)',
+            'CREATE INDEX idx_audit_log_action ON audit_log (action, occurred_at)',
+            // The audit log is append-only: the database itself refuses to change or delete entries.
+            async (tx) => {
+                if (tx.dialect === 'postgres') {
+                    await tx.execute(`CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+                        BEGIN RAISE EXCEPTION 'The audit log is append-only.'; END;
+                        $$ LANGUAGE plpgsql`);
+                    await tx.execute(`CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+                        FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()`);
+                    return;
+                }
+                for (const operation of ['UPDATE', 'DELETE']) {
+                    await tx.execute(`CREATE TRIGGER audit_log_no_${operation.toLowerCase()} BEFORE ${operation} ON audit_log
+                        BEGIN SELECT RAISE(ABORT, 'The audit log is append-only.'); END`);
+                }
+            },
+        ],
+    },
+    {
+        version: 12,
+        name: 'analytics_privacy',
+        up: [
+            // Daily totals with nobody's ids in them: raw events roll up into these when they pass the
+            // retention window, and hits from visitors who declined analytics go straight here.
+            // `article_id` and `section` are '' rather than NULL so they can be part of the key.
+            `CREATE TABLE analytics_rollups (
+                day TEXT NOT NULL,
+                type TEXT NOT NULL,
+                article_id TEXT NOT NULL DEFAULT '',
+                section TEXT NOT NULL DEFAULT '',
+                hits INTEGER NOT NULL DEFAULT 0,
+                views INTEGER NOT NULL DEFAULT 0,
+                bot_hits INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (day, type, article_id, section)
+            )`,
+            // Unique visitors on each rolled-up day, counted before their ids were purged.
+            `CREATE TABLE analytics_rollup_visitors (
+                day TEXT PRIMARY KEY,
+                visitors INTEGER NOT NULL DEFAULT 0
+            )`,
+            'CREATE INDEX analytics_events_visitor ON analytics_events (visitor_id)',
+            'CREATE INDEX search_queries_visitor ON search_queries (visitor_id)',
+        ],
+    },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Applies any migrations the database hasn't seen yet. Safe to call on every start-up.
+export async function migrate(driver) {
+    await driver.execute(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+    )`);
+
+    const rows = await driver.query('SELECT version FROM schema_migrations');
+    const applied = new Set(rows.map((row) => Number(row.version)));
+
+    for (const migration of MIGRATIONS) {
+        if (applied.has(migration.version)) continue;
+        await driver.transaction(async (tx) => {
+            for (const statement of migration.up) {
+                if (typeof statement === 'function') {
+                    await statement(tx);
+                    continue;
+                }
+                const [sql, params] = Array.isArray(statement) ? statement : [statement, []];
+                await tx.execute(sql, params);
+            }
+            await tx.execute(
+                'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                [migration.version, migration.name, now()]
+            );
+        });
+    }
+}
+
+// --- Drivers ---
+// A driver runs SQL written with `?` placeholders:
+//   query(sql, params) -> rows, execute(sql, params), transaction(fn(tx)) -> fn's result.
+
+// `db` is a sql.js Database. `onWrite(db)` runs after every write, e.g. to persist the file.
+//
+// sql.js has a single connection, so an open transaction would take in anyone else's writes. Each
+// transaction and each write outside one waits its turn on `queue` instead; inside a transaction,
+// `fn` gets a driver that runs straight away. Reads don't wait.
+export function createSqliteDriver(db, { onWrite } = {}) {
+    let queue = Promise.resolve();
+    const enqueue = (task) => {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    const query = async (sql, params = []) => {
+        const statement = db.prepare(sql);
+        try {
+            statement.bind(params);
+            const rows = [];
+            while (statement.step()) rows.push(statement.getAsObject());
+            return rows;
+        } finally {
+            statement.free();
+        }
+    };
+    const tx = {
+        dialect: 'sqlite',
+        label: 'SQLite',
+        query,
+        async execute(sql, params = []) {
+            db.run(sql, params);
+        },
+        // Already in one: the work joins it.
+        transaction: (fn) => fn(tx),
+    };
+
+    return {
+        dialect: 'sqlite',
+        label: 'SQLite',
+        query,
+        execute: (sql, params = []) => enqueue(async () => {
+            db.run(sql, params);
+            if (onWrite) onWrite(db);
+        }),
+        transaction: (fn) => enqueue(async () => {
+            db.run('BEGIN');
+            try {
+                const result = await fn(tx);
+                db.run('COMMIT');
+                return result;
+            } catch (error) {
+                db.run('ROLLBACK');
+                throw error;
+            } finally {
+                if (onWrite) onWrite(db);
+            }
+        }),
+    };
+}
+
+// `pool` is a pg.Pool (or a checked-out pg.Client inside a transaction).
+export function createPostgresDriver(pool) {
+    const toPostgres = (sql) => {
+        let index = 0;
+        return sql.replace(/\?/g, () => `$${++index}`);
+    };
+
+    return {
+        dialect: 'postgres',
+        label: 'PostgreSQL',
+        async query(sql, params = []) {
+            const { rows } = await pool.query(toPostgres(sql), params);
+            return rows;
+        },
+        async execute(sql, params = []) {
+            await pool.query(toPostgres(sql), params);
+        },
+        async transaction(fn) {
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const result = await fn(createPostgresDriver(client));
+                await client.query('COMMIT');
+                return result;
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+        },
+    };
+}
+
+// --- Content ---
+
+export const CATEGORIES = ['News', 'Sports', 'Opinion', 'Lifestyle'];
+
+export const ARTICLE_STATUSES = ['draft', 'submitted', 'changes_requested', 'approved', 'scheduled', 'published', 'archived'];
+
+// Statuses in which a writer may still edit their story. Everything later belongs to the editors.
+export const WRITER_EDITABLE_STATUSES = ['draft', 'changes_requested'];
+
+// Editorial workflow: each action moves a story from one of `from` to `to`, and needs at least `role`.
+// Only editors and up can approve or publish. Each action is a storage method, e.g. articles.approve.
+// `done` describes the step in the audit log: 'Published "Volleyball Dominates"'.
+export const WORKFLOW = {
+    submit: { from: ['draft', 'changes_requested'], to: 'submitted', role: 'writer', label: 'Submit for Review', done: 'Submitted' },
+    requestChanges: { from: ['submitted', 'approved'], to: 'changes_requested', role: 'editor', label: 'Request Changes', done: 'Requested changes to' },
+    approve: { from: ['submitted'], to: 'approved', role: 'editor', label: 'Approve', done: 'Approved' },
+    schedule: { from: ['approved'], to: 'scheduled', role: 'editor', label: 'Schedule', done: 'Scheduled' },
+    unschedule: { from: ['scheduled'], to: 'approved', role: 'editor', label: 'Unschedule', done: 'Unscheduled' },
+    publish: { from: ['approved', 'scheduled'], to: 'published', role: 'editor', label: 'Publish Now', done: 'Published' },
+    archive: { from: ['published'], to: 'archived', role: 'editor', label: 'Unpublish', done: 'Unpublished' },
+    restore: { from: ['archived'], to: 'draft', role: 'editor', label: 'Restore to Draft', done: 'Restored' },
+};
+
+// "Volleyball Dominates, Again!" -> "volleyball-dominates-again"
+export function slugify(text) {
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80);
+}
+
+// --- Search ---
+
+// Words too common to be worth indexing or searching for.
+const STOP_WORDS = new Set([
+    'a', 'about', 'after', 'all', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has',
+    'have', 'he', 'her', 'his', 'how', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'she',
+    'that', 'the', 'their', 'them', 'they', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'which',
+    'who', 'will', 'with', 'you', 'your',
+]);
+
+// How much one occurrence of a word is worth in each field. A headline match outranks a passing mention.
+const SEARCH_WEIGHTS = { title: 5, summary: 2, body: 1 };
+
+// The most terms a single search looks up; the rest of a pasted paragraph is ignored.
+const MAX_SEARCH_TERMS = 8;
+
+const SEARCH_PAGE_SIZE = 10;
+
+// Folds plurals together so "results" finds "result". Deliberately crude: no dictionary, no verb forms.
+function stem(word) {
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 4 && /(ches|shes|sses|xes|zes)$/.test(word)) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+    return word;
+}
+
+// "Volleyball's Results!" -> ['volleyball', 'result']. Used for both the index and queries, and by the
+// app to highlight matches, so all three agree on what a word is.
+export function searchTerms(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+        .map(stem);
+}
+
+// Rebuilds one story's entries in the article_terms index. `db` is a driver, ideally inside a transaction.
+async function indexArticle(db, { id, title, summary, body }) {
+    const weights = new Map();
+    // Link targets and inline HTML in the Markdown body aren't words anyone reads.
+    const fields = { title, summary, body: String(body || '').replace(/\]\([^)]*\)|<[^>]*>/g, ' ') };
+    for (const [field, weight] of Object.entries(SEARCH_WEIGHTS)) {
+        for (const term of searchTerms(fields[field])) weights.set(term, (weights.get(term) || 0) + weight);
+    }
+
+    await db.execute('DELETE FROM article_terms WHERE article_id = ?', [id]);
+    const entries = [...weights.entries()];
+    for (let start = 0; start < entries.length; start += 100) {
+        const batch = entries.slice(start, start + 100);
+        await db.execute(
+            `INSERT INTO article_terms (article_id, term, weight) VALUES ${batch.map(() => '(?, ?, ?)').join(', ')}`,
+            batch.flatMap(([term, weight]) => [id, term, weight])
+        );
+    }
+}
+
+// --- Comments ---
+
+// Reader comments wait in 'pending' until an editor approves or rejects them.
+export const COMMENT_STATUSES = ['pending', 'approved', 'rejected'];
+
+// How many comments one reader may post per window. Stops floods without bothering real readers.
+export const COMMENT_RATE_LIMIT = { count: 3, minutes: 10 };
+
+export const COMMENT_MAX_LENGTH = 2000;
+
+// The word filter editors start with; they can change it from the moderation panel.
+const DEFAULT_BLOCKED_WORDS = ['asshole', 'bastard', 'bitch', 'cunt', 'dick', 'fuck', 'piss', 'shit', 'slut', 'whore'];
+
+// Digits and symbols commonly swapped in for letters to sneak words past a filter.
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+// The entries of `blockedWords` that appear in `text` as whole words, allowing for case, accents,
+// lookalike characters ("sh1t") and simple endings ("-s", "-ing", "-ty"). Single words only, not phrases.
+function findBlockedWords(text, blockedWords) {
+    const words = String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[013457@$]/g, (c) => LOOKALIKES[c])
+        .split(/[^a-z]+/);
+    return blockedWords.filter((blocked) => words.some((word) => {
+        if (!word.startsWith(blocked)) return false;
+        let ending = word.slice(blocked.length);
+        if (ending.length > 1 && ending[0] === blocked[blocked.length - 1]) ending = ending.slice(1); // "shitty"
+        return /^(|s|es|ed|er|ers|ing|y)$/.test(ending);
+    }));
+}
+
+// --- Analytics ---
+
+// 'page_view' is any page load or in-app navigation; 'article_open' is a view of a full story.
+export const EVENT_TYPES = ['page_view', 'article_open'];
+
+export const DEVICE_CLASSES = ['mobile', 'tablet', 'desktop'];
+
+export const SERIES_INTERVALS = ['day', 'week', 'month'];
+
+// How long raw events (and the session and visitor ids in them) are kept before they are rolled up
+// into daily totals and deleted. Advisors choose within these bounds (analytics.setRetention).
+export const ANALYTICS_RETENTION = { defaultDays: 90, minDays: 7, maxDays: 730 };
+
+// The most visitor ids one data request (analytics.visitorData, analytics.deleteVisitor) can name.
+const MAX_VISITOR_IDS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Running totals in the counters table: every hit, and only the views that pass the filters below.
+export const HIT_COUNTER = 'olhs_current_hits';
+export const VIEW_COUNTER = 'olhs_current_views';
+
+// A "view" is a hit that isn't a bot and isn't a repeat of a page already seen this session
+// (a refresh, a React remount, back-and-forth navigation).
+// `table` is an optional alias prefix such as 'e.'.
+const countedView = (table = '') => `${table}counted = 1 AND ${table}is_bot = 0`;
+
+// Crawlers, link unfurlers, headless browsers and scripts. Most crawlers never run the app's
+// JavaScript, but the ones that render pages (Googlebot, link previews) do.
+const BOT_USER_AGENT = new RegExp([
+    'bot', 'crawl', 'spider', 'slurp', 'mediapartners', 'bingpreview', 'facebookexternalhit', 'embedly',
+    'quora link preview', 'outbrain', 'pinterest', 'vkshare', 'w3c_validator', 'headlesschrome',
+    'lighthouse', 'pagespeed', 'phantomjs', 'puppeteer', 'playwright', 'python-requests', 'curl',
+    'wget', 'httpclient', 'axios', 'node-fetch', 'go-http-client', 'java/',
+].join('|'), 'i');
+
+export function isBotUserAgent(userAgent) {
+    return !userAgent || BOT_USER_AGENT.test(userAgent);
+}
+
+// The bucket a "YYYY-MM-DD" day falls in: the day itself, the Monday starting its week, or "YYYY-MM".
+function seriesBucket(day, interval) {
+    if (interval === 'month') return day.slice(0, 7);
+    if (interval === 'week') {
+        const date = new Date(`${day}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+        return date.toISOString().slice(0, 10);
+    }
+    return day;
+}
+
+// --- Security ---
+
+// Failed staff sign-ins, counted per email address. The first `freeAttempts` cost nothing; after
+// that each try must wait twice as long as the one before (5s, 10s, 20s...), and `lockAfter`
+// failures within `windowMinutes` lock the account for `lockMinutes` or until an advisor unlocks it.
+export const LOGIN_THROTTLE = { freeAttempts: 3, lockAfter: 8, windowMinutes: 15, lockMinutes: 30, delaySeconds: 5 };
+
+// How stale a session's "last active" time may get before a request refreshes it.
+const SESSION_TOUCH_MS = 60 * 1000;
+
+// Audit log actions are "<area>.<what>", e.g. 'article.publish'; the log filters by area.
+export const AUDIT_AREAS = ['auth', 'article', 'edition', 'comment', 'staff', 'privacy'];
+
+const AUDIT_PAGE_SIZE = 50;
+
+// "Firefox on Windows" from a User-Agent header: enough to tell a newsroom laptop from a phone.
+export function deviceLabel(userAgent) {
+    const ua = String(userAgent || '');
+    const browser = [
+        [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Firefox\//, 'Firefox'], [/Chrome\/|CriOS/, 'Chrome'],
+        [/Safari\//, 'Safari'],
+    ].find(([pattern]) => pattern.test(ua));
+    const system = [
+        [/iPhone|iPad|iPod/, 'iOS'], [/Android/, 'Android'], [/CrOS/, 'ChromeOS'], [/Windows/, 'Windows'],
+        [/Mac OS X|Macintosh/, 'macOS'], [/Linux/, 'Linux'],
+    ].find(([pattern]) => pattern.test(ua));
+    if (!browser && !system) return 'Unknown device';
+    return [browser ? browser[1] : 'Browser', system ? system[1] : null].filter(Boolean).join(' on ');
+}
+
+// What to tell someone whose sign-ins are being throttled (see logins.status), or null if they may try now.
+export function loginThrottleMessage({ locked, retryAfter }) {
+    if (!retryAfter) return null;
+    const wait = retryAfter >= 90 ? `${Math.ceil(retryAfter / 60)} minutes` : `${retryAfter} second${retryAfter === 1 ? '' : 's'}`;
+    return locked
+        ? `Too many failed sign-ins. This account is locked for ${wait}, or until the advisor unlocks it.`
+        : `Too many failed sign-ins. Wait ${wait} before trying again.`;
+}
+
+// --- Storage ---
+
+// Who may call each method over the network (enforced by server.js). 'public' is open to every
+// visitor, 'self' to the staff member the first argument names (and advisors), and a role name
+// to staff with at least that role.
+export const METHOD_ACCESS = {
+    'counters.get': 'public',
+    'staff.get': 'self',
+    'staff.list': 'advisor',
+    'staff.save': 'advisor',
+    'logins.status': 'public',
+    'logins.locked': 'advisor',
+    'logins.unlock': 'advisor',
+    'sessions.get': 'self',
+    'sessions.list': 'self',
+    'sessions.end': 'self',
+    'sessions.revoke': 'self',
+    'sessions.revokeAll': 'self',
+    'audit.search': 'advisor',
+    'articles.listPublished': 'public',
+    'articles.getPublished': 'public',
+    'articles.search': 'public',
+    'articles.authors': 'public',
+    'articles.list': 'writer',
+    'articles.get': 'writer',
+    'articles.save': 'writer',
+    'articles.revisions': 'writer',
+    'articles.restoreRevision': 'writer',
+    ...Object.fromEntries(Object.entries(WORKFLOW).map(([action, step]) => [`articles.${action}`, step.role])),
+    'articles.setCommentsEnabled': 'editor',
+    'editions.list': 'public',
+    'editions.getPublished': 'public',
+    'editions.listAll': 'editor',
+    'editions.contents': 'editor',
+    'editions.save': 'editor',
+    'editions.setArticles': 'editor',
+    'editions.delete': 'editor',
+    'comments.listApproved': 'public',
+    'comments.submit': 'public',
+    'comments.queue': 'editor',
+    'comments.approve': 'editor',
+    'comments.reject': 'editor',
+    'comments.ban': 'editor',
+    'comments.bans': 'editor',
+    'comments.unban': 'editor',
+    'comments.blockedWords': 'editor',
+    'comments.setBlockedWords': 'editor',
+    'analytics.record': 'public',
+    'analytics.summary': 'editor',
+    'analytics.topArticles': 'editor',
+    'analytics.sectionTotals': 'editor',
+    'analytics.series': 'editor',
+    'analytics.recordSearch': 'public',
+    'analytics.topSearches': 'editor',
+    'analytics.zeroResultSearches': 'editor',
+    'analytics.daily': 'editor',
+    'analytics.export': 'editor',
+    'analytics.retention': 'advisor',
+    'analytics.setRetention': 'advisor',
+    'analytics.visitorData': 'advisor',
+    'analytics.deleteVisitor': 'advisor',
+};
+
+function now() {
+    return new Date().toISOString();
+}
+
+function toStaff(row) {
+    return {
+        uid: row.uid,
+        email: row.email,
+        displayName: row.display_name,
+        role: row.role,
+        active: Boolean(Number(row.active)),
+        invitedBy: row.invited_by,
+        updatedBy: row.updated_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+function toArticle(row) {
+    return {
+        id: row.id,
+        slug: row.slug,
+        title: row.title,
+        summary: row.summary,
+        body: row.body,
+        author: row.author,
+        category: row.category,
+        heroImageUrl: row.hero_image_url,
+        heroImageSrcset: row.hero_image_srcset,
+        heroImageAlt: row.hero_image_alt,
+        heroImageCredit: row.hero_image_credit,
+        heroMediaId: row.hero_media_id,
+        status: row.status,
+        publishedAt: row.published_at,
+        scheduledFor: row.scheduled_for,
+        reviewNote: row.review_note,
+        commentsEnabled: row.comments_enabled === undefined ? true : Boolean(Number(row.comments_enabled)),
+        editionId: row.edition_id || null,
+        createdBy: row.created_by,
+        updatedBy: row.updated_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+// `stories` and `coverImageUrl` come from the listing queries; single-edition reads leave them out.
+function toEdition(row) {
+    return {
+        id: row.id,
+        volume: Number(row.volume),
+        issue: Number(row.issue),
+        title: row.title,
+        publishedOn: row.published_on,
+        stories: row.stories === undefined ? undefined : Number(row.stories),
+        coverImageUrl: row.cover_image_url || null,
+        createdBy: row.created_by,
+        updatedBy: row.updated_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+function toRevision(row) {
+    return {
+        id: row.id,
+        articleId: row.article_id,
+        revision: Number(row.revision),
+        title: row.title,
+        summary: row.summary,
+        body: row.body,
+        author: row.author,
+        category: row.category,
+        heroImageUrl: row.hero_image_url,
+        heroImageAlt: row.hero_image_alt,
+        heroImageCredit: row.hero_image_credit,
+        heroMediaId: row.hero_media_id,
+        note: row.note,
+        savedBy: row.saved_by,
+        savedAt: row.saved_at,
+    };
+}
+
+function toMedia(row) {
+    const variants = JSON.parse(row.variants);
+    return {
+        id: row.id,
+        originalName: row.original_name,
+        width: Number(row.width),
+        height: Number(row.height),
+        variants,
+        // The largest copy doubles as the plain src, and as the image for feeds and link previews.
+        url: variants[variants.length - 1].url,
+        srcset: variants.map((variant) => `${variant.url} ${variant.width}w`).join(', '),
+        uploadedBy: row.uploaded_by,
+        createdAt: row.created_at,
+    };
+}
+
+// What the public sees of a comment. Who posted it (commenter_id) stays with the moderators.
+function toPublicComment(row) {
+    return {
+        id: row.id,
+        articleId: row.article_id,
+        authorName: row.author_name,
+        body: row.body,
+        createdAt: row.created_at,
+    };
+}
+
+function toComment(row) {
+    return {
+        ...toPublicComment(row),
+        status: row.status,
+        commenterId: row.commenter_id,
+        articleTitle: row.article_title,
+        articleSlug: row.article_slug,
+        moderatedBy: row.moderated_by,
+        moderatedAt: row.moderated_at,
+    };
+}
+
+function toSession(row) {
+    return {
+        id: row.id,
+        uid: row.uid,
+        device: row.device,
+        ip: row.ip,
+        createdAt: row.created_at,
+        lastSeenAt: row.last_seen_at,
+        revokedAt: row.revoked_at,
+        revokedBy: row.revoked_by,
+        revokeReason: row.revoke_reason,
+    };
+}
+
+function toAuditEntry(row) {
+    return {
+        id: row.id,
+        actorUid: row.actor_uid,
+        actorName: row.actor_name,
+        action: row.action,
+        targetType: row.target_type,
+        targetId: row.target_id,
+        summary: row.summary,
+        details: row.details ? JSON.parse(row.details) : null,
+        occurredAt: row.occurred_at,
+    };
+}
+
+// Runs migrations, then returns the storage interface for `driver`.
+export async function openStorage(driver) {
+    await migrate(driver);
+    return createStorage(driver);
+}
+
+export function createStorage(driver) {
+    // Re-run every watcher after each write. Cheap at newsroom scale and always correct.
+    const watchers = new Set();
+    const notify = () => watchers.forEach((run) => run());
+    const mutation = (fn) => async (...args) => {
+        const result = await fn(...args);
+        notify();
+        return result;
+    };
+
+    const counters = {
+        async get(name) {
+            const rows = await driver.query('SELECT count FROM counters WHERE name = ?', [name]);
+            return rows.length ? Number(rows[0].count) : 0;
+        },
+        increment: mutation(async (name, by = 1) => {
+            await driver.execute(
+                `INSERT INTO counters (name, count, updated_at) VALUES (?, ?, ?)
+                 ON CONFLICT (name) DO UPDATE SET count = counters.count + excluded.count, updated_at = excluded.updated_at`,
+                [name, by, now()]
+            );
+        }),
+    };
+
+    // Who did what in the newsroom. Entries can only be added (see migration 11); the repositories
+    // below call `record` for sign-ins, workflow actions, deletions, moderation and staff changes.
+    const audit = {
+        // `actor` is the staff uid responsible, or null for the system (scheduled publishing) and visitors.
+        // Not in METHOD_ACCESS: only storage itself writes to the log.
+        async record({ actor = null, action, targetType = null, targetId = null, summary, details = null }) {
+            let actorName = null;
+            if (actor) {
+                const rows = await driver.query('SELECT display_name FROM staff WHERE uid = ?', [actor]);
+                actorName = rows.length ? rows[0].display_name : actor;
+            }
+            await driver.execute(
+                `INSERT INTO audit_log (id, actor_uid, actor_name, action, target_type, target_id, summary, details, occurred_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    crypto.randomUUID(), actor, actorName, action, targetType, targetId == null ? null : String(targetId),
+                    summary, details ? JSON.stringify(details) : null, now(),
+                ]
+            );
+        },
+        // Entries newest first, a page at a time. `query` matches the summary or who did it, or is the
+        // exact id of what it was done to; `area` is one of AUDIT_AREAS; `from` and `to` are ISO
+        // timestamps, `to` exclusive.
+        async search({ query = '', area = '', from = null, to = null, page = 1 } = {}) {
+            const clauses = [];
+            const params = [];
+            const text = String(query || '').trim();
+            if (text) {
+                const pattern = `%${text.toLowerCase().replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+                clauses.push("(LOWER(summary) LIKE ? ESCAPE '\\' OR LOWER(actor_name) LIKE ? ESCAPE '\\' OR target_id = ?)");
+                params.push(pattern, pattern, text);
+            }
+            if (area) {
+                if (!AUDIT_AREAS.includes(area)) throw new StorageError('Unknown kind of activity.');
+                clauses.push('action LIKE ?');
+                params.push(`${area}.%`);
+            }
+            if (from) {
+                clauses.push('occurred_at >= ?');
+                params.push(from);
+            }
+            if (to) {
+                clauses.push('occurred_at < ?');
+                params.push(to);
+            }
+            const where = clauses.length ? clauses.join(' AND ') : '1 = 1';
+            const currentPage = Math.max(Number(page) || 1, 1);
+            const [{ total }] = await driver.query(`SELECT COUNT(*) AS total FROM audit_log WHERE ${where}`, params);
+            const rows = await driver.query(
+                `SELECT * FROM audit_log WHERE ${where} ORDER BY occurred_at DESC, id LIMIT ? OFFSET ?`,
+                [...params, AUDIT_PAGE_SIZE, (currentPage - 1) * AUDIT_PAGE_SIZE]
+            );
+            return { entries: rows.map(toAuditEntry), total: Number(total), page: currentPage, pageSize: AUDIT_PAGE_SIZE };
+        },
+    };
+
+    const normalizeEmail = (email) => String(email || '').trim().toLowerCase().slice(0, 254);
+
+    // Where `email` stands under LOGIN_THROTTLE: { locked, lockedUntil, retryAfter, failures }, with
+    // `retryAfter` in seconds. Only failures since the last success or unlock count.
+    const loginStatus = async (email) => {
+        const { windowMinutes, lockMinutes, lockAfter, freeAttempts, delaySeconds } = LOGIN_THROTTLE;
+        const since = new Date(Date.now() - (windowMinutes + lockMinutes) * 60000).toISOString();
+        const rows = await driver.query(
+            'SELECT outcome, occurred_at FROM login_attempts WHERE email = ? AND occurred_at >= ? ORDER BY occurred_at DESC',
+            [email, since]
+        );
+        const failures = [];
+        for (const row of rows) {
+            if (row.outcome !== 'failure') break;
+            failures.push(Date.parse(row.occurred_at));
+        }
+        const clear = { locked: false, lockedUntil: null, retryAfter: 0, failures: 0 };
+        if (!failures.length) return clear;
+
+        const latest = failures[0];
+        const recent = failures.filter((time) => time > latest - windowMinutes * 60000).length;
+        const secondsUntil = (time) => Math.max(0, Math.ceil((time - Date.now()) / 1000));
+        if (recent >= lockAfter) {
+            const lockedUntil = latest + lockMinutes * 60000;
+            if (lockedUntil <= Date.now()) return clear;
+            return { locked: true, lockedUntil: new Date(lockedUntil).toISOString(), retryAfter: secondsUntil(lockedUntil), failures: recent };
+        }
+        const delay = recent >= freeAttempts ? delaySeconds * 2 ** (recent - freeAttempts) * 1000 : 0;
+        return { ...clear, retryAfter: secondsUntil(latest + delay), failures: recent };
+    };
+
+    const recordAttempt = (email, outcome, { userAgent = null, ip = null } = {}) => driver.execute(
+        'INSERT INTO login_attempts (id, email, outcome, user_agent, ip, occurred_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [crypto.randomUUID(), email, outcome, userAgent ? String(userAgent).slice(0, 500) : null, ip, now()]
+    );
+
+    const staffByEmail = async (email) => {
+        const rows = await driver.query('SELECT * FROM staff WHERE LOWER(email) = ?', [email]);
+        return rows.length ? toStaff(rows[0]) : null;
+    };
+
+    // Staff sign-in throttling. With the school server, passwords are checked by server.js (/api/login),
+    // which asks here before each attempt and reports failures, so a client can't skip either step;
+    // sessions.start also refuses a locked account. A browser-local setup calls these itself.
+    const logins = {
+        // Whether `email` may try to sign in now: { locked, lockedUntil, retryAfter }.
+        async status(email) {
+            const { locked, lockedUntil, retryAfter } = await loginStatus(normalizeEmail(email));
+            return { locked, lockedUntil, retryAfter };
+        },
+        // Counts a wrong password for `email` and returns its new status. Failures are audited only
+        // for staff addresses, so strangers guessing can't flood the log. Nothing is counted while
+        // `email` has to wait or is locked: no password should have been tried then, and a lock runs
+        // a fixed time from the failure that caused it, which later failures can't extend.
+        recordFailure: mutation(async (email, { userAgent = null, ip = null } = {}) => {
+            const key = normalizeEmail(email);
+            if (!key) throw new StorageError('Enter your email address.');
+            const before = await loginStatus(key);
+            if (before.retryAfter > 0) {
+                return { locked: before.locked, lockedUntil: before.lockedUntil, retryAfter: before.retryAfter };
+            }
+            await recordAttempt(key, 'failure', { userAgent, ip });
+            const after = await loginStatus(key);
+            const member = await staffByEmail(key);
+            if (member) {
+                await audit.record({
+                    action: 'auth.login_failed', targetType: 'staff', targetId: member.uid,
+                    summary: `Failed sign-in for ${member.displayName}`, details: { ip, device: deviceLabel(userAgent) },
+                });
+                if (after.locked && !before.locked) {
+                    await audit.record({
+                        action: 'auth.locked', targetType: 'staff', targetId: member.uid,
+                        summary: `Locked ${member.displayName} out after ${after.failures} failed sign-ins`,
+                        details: { lockedUntil: after.lockedUntil },
+                    });
+                }
+            }
+            return { locked: after.locked, lockedUntil: after.lockedUntil, retryAfter: after.retryAfter };
+        }),
+        // Staff accounts locked out right now: [{ uid, email, displayName, lockedUntil }].
+        async locked() {
+            const since = new Date(Date.now() - (LOGIN_THROTTLE.windowMinutes + LOGIN_THROTTLE.lockMinutes) * 60000).toISOString();
+            const rows = await driver.query(
+                'SELECT DISTINCT email FROM login_attempts WHERE outcome = ? AND occurred_at >= ?',
+                ['failure', since]
+            );
+            const lockouts = [];
+            for (const { email } of rows) {
+                const status = await loginStatus(email);
+                const member = status.locked && await staffByEmail(email);
+                if (member) {
+                    lockouts.push({ uid: member.uid, email: member.email, displayName: member.displayName, lockedUntil: status.lockedUntil });
+                }
+            }
+            return lockouts;
+        },
+        // Lifts a lockout (and any wait) on `email` now.
+        unlock: mutation(async (email, unlockedBy = null) => {
+            const key = normalizeEmail(email);
+            await recordAttempt(key, 'unlock');
+            const member = await staffByEmail(key);
+            await audit.record({
+                actor: unlockedBy, action: 'auth.unlocked', targetType: 'staff', targetId: member ? member.uid : key,
+                summary: `Unlocked sign-in for ${member ? member.displayName : key}`,
+            });
+        }),
+    };
+
+    const revokeSessions = async (where, params, revokedBy, reason) => {
+        await driver.execute(
+            `UPDATE sessions SET revoked_at = ?, revoked_by = ?, revoke_reason = ? WHERE revoked_at IS NULL AND ${where}`,
+            [now(), revokedBy, reason, ...params]
+        );
+    };
+
+    // Signed-in staff devices. A session is opened after each successful sign-in (by server.js, or by
+    // the app with a browser-local database) and the app sends its id with every request; server.js only grants a staff role to a request whose session is open,
+    // so signing a device out from elsewhere takes effect on its next request.
+    const sessions = {
+        // Opens a session for `uid`, whose password has just been accepted. Refused while the account
+        // is locked out or isn't active staff. Not in METHOD_ACCESS: only server.js's sign-in opens one.
+        start: mutation(async (uid, { userAgent = '', ip = null } = {}) => {
+            const member = await staff.get(uid);
+            if (!member || !member.active) throw new StorageError('This account is not on the staff.', 403);
+            const status = await loginStatus(normalizeEmail(member.email));
+            if (status.locked) throw new StorageError(loginThrottleMessage(status), 423);
+
+            const id = crypto.randomUUID();
+            const device = deviceLabel(userAgent);
+            const timestamp = now();
+            await recordAttempt(normalizeEmail(member.email), 'success', { userAgent, ip });
+            await driver.execute(
+                `INSERT INTO sessions (id, uid, device, user_agent, ip, created_at, last_seen_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [id, uid, device, String(userAgent || '').slice(0, 500) || null, ip, timestamp, timestamp]
+            );
+            await audit.record({
+                actor: uid, action: 'auth.login', targetType: 'session', targetId: id,
+                summary: `Signed in on ${device}`, details: { ip },
+            });
+            return sessions.get(uid, id);
+        }),
+        async get(uid, id) {
+            const rows = await driver.query('SELECT * FROM sessions WHERE id = ? AND uid = ?', [id, uid]);
+            return rows.length ? toSession(rows[0]) : null;
+        },
+        // `uid`'s signed-in devices, most recently active first.
+        async list(uid) {
+            const rows = await driver.query(
+                'SELECT * FROM sessions WHERE uid = ? AND revoked_at IS NULL ORDER BY last_seen_at DESC',
+                [uid]
+            );
+            return rows.map(toSession);
+        },
+        // True if session `id` is open and belongs to `uid`, and notes that it is in use. server.js
+        // checks this on every staff request, so it isn't in METHOD_ACCESS.
+        async verify(uid, id) {
+            if (!uid || !id) return false;
+            const session = await sessions.get(uid, id);
+            if (!session || session.revokedAt) return false;
+            if (Date.now() - Date.parse(session.lastSeenAt) > SESSION_TOUCH_MS) {
+                await driver.execute('UPDATE sessions SET last_seen_at = ? WHERE id = ?', [now(), id]);
+            }
+            return true;
+        },
+        // Signs this device out, when its user does.
+        end: mutation(async (uid, id) => {
+            const session = await sessions.get(uid, id);
+            if (!session || session.revokedAt) return;
+            await revokeSessions('id = ?', [id], uid, 'signed_out');
+            await audit.record({ actor: uid, action: 'auth.logout', targetType: 'session', targetId: id, summary: `Signed out on ${session.device}` });
+        }),
+        // Signs one of `uid`'s devices out from somewhere else.
+        revoke: mutation(async (uid, id, revokedBy = null) => {
+            const session = await sessions.get(uid, id);
+            if (!session) throw new StorageError('Session not found.', 404);
+            if (session.revokedAt) return;
+            const member = await staff.get(uid);
+            await revokeSessions('id = ?', [id], revokedBy, 'revoked');
+            await audit.record({
+                actor: revokedBy, action: 'auth.session_revoked', targetType: 'session', targetId: id,
+                summary: `Signed ${member ? member.displayName : uid} out on ${session.device}`, details: { uid },
+            });
+        }),
+        // Signs `uid` out everywhere, except the session `exceptId` if given (the device asking).
+        revokeAll: mutation(async (uid, revokedBy = null, exceptId = null) => {
+            const open = await sessions.list(uid);
+            const targets = open.filter((session) => session.id !== exceptId);
+            if (!targets.length) return 0;
+            const member = await staff.get(uid);
+            await revokeSessions('uid = ? AND id <> ?', [uid, exceptId || ''], revokedBy, 'revoked');
+            await audit.record({
+                actor: revokedBy, action: 'auth.session_revoked', targetType: 'staff', targetId: uid,
+                summary: `Signed ${member ? member.displayName : uid} out on ${targets.length} device${targets.length === 1 ? '' : 's'}`,
+                details: { sessions: targets.map((session) => session.id) },
+            });
+            return targets.length;
+        }),
+    };
+
+    const staff = {
+        async get(uid) {
+            const rows = await driver.query('SELECT * FROM staff WHERE uid = ?', [uid]);
+            return rows.length ? toStaff(rows[0]) : null;
+        },
+        async list() {
+            const rows = await driver.query('SELECT * FROM staff ORDER BY display_name');
+            return rows.map(toStaff);
+        },
+        // Creates or merges into a staff profile, like a Firestore `setDoc(..., { merge: true })`.
+        save: mutation(async (uid, fields) => {
+            const existing = await staff.get(uid);
+            const next = { active: true, ...existing, ...fields };
+            if (!next.email || !next.displayName || !ROLES.includes(next.role)) {
+                throw new StorageError('Staff profiles need an email, a name and a valid role.');
+            }
+            const timestamp = now();
+            await driver.execute(
+                `INSERT INTO staff (uid, email, display_name, role, active, invited_by, updated_by, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT (uid) DO UPDATE SET
+                    email = excluded.email, display_name = excluded.display_name, role = excluded.role,
+                    active = excluded.active, updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+                [
+                    uid, next.email, next.displayName, next.role, next.active ? 1 : 0,
+                    next.invitedBy || null, next.updatedBy || null, next.createdAt || timestamp, timestamp,
+                ]
+            );
+
+            // Deactivated staff are signed out everywhere at once.
+            const actor = fields.updatedBy || fields.invitedBy || null;
+            if (!next.active) await revokeSessions('uid = ?', [uid], actor, 'deactivated');
+            const entry = { actor, targetType: 'staff', targetId: uid };
+            if (!existing) {
+                await audit.record({ ...entry, action: 'staff.invite', summary: `Added ${next.displayName} as ${next.role}` });
+            } else if (existing.role !== next.role) {
+                await audit.record({
+                    ...entry, action: 'staff.role',
+                    summary: `Changed ${next.displayName}'s role from ${existing.role} to ${next.role}`,
+                    details: { from: existing.role, to: next.role },
+                });
+            }
+            if (existing && existing.active !== Boolean(next.active)) {
+                await audit.record({
+                    ...entry, action: next.active ? 'staff.reactivate' : 'staff.deactivate',
+                    summary: `${next.active ? 'Reactivated' : 'Deactivated'} ${next.displayName}`,
+                });
+            }
+            return staff.get(uid);
+        }),
+    };
+
+    const media = {
+        async get(id) {
+            const rows = await driver.query('SELECT * FROM media WHERE id = ?', [id]);
+            return rows.length ? toMedia(rows[0]) : null;
+        },
+        // Records a photo server.js has already resized and stored. `variants` is [{ width, height, url }],
+        // smallest first. Deliberately not in METHOD_ACCESS: only the server may vouch for the files.
+        create: mutation(async ({ id, originalName, width, height, variants, uploadedBy }) => {
+            if (!variants || !variants.length) throw new StorageError('Uploads need at least one image size.');
+            await driver.execute(
+                `INSERT INTO media (id, original_name, width, height, variants, uploaded_by, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [id, originalName ? String(originalName).slice(0, 255) : null, width, height, JSON.stringify(variants), uploadedBy || null, now()]
+            );
+            return media.get(id);
+        }),
+    };
+
+    // Pages through articles matching `where`; `pageSize` is capped so public callers can't dump the table.
+    // `from` can join other tables onto `articles`, which is aliased `a`.
+    const pageArticles = async (where, params, orderBy, { page = 1, pageSize = 9 } = {}, from = 'articles a') => {
+        const limit = Math.min(Math.max(Number(pageSize) || 9, 1), 50);
+        const currentPage = Math.max(Number(page) || 1, 1);
+        const [{ total }] = await driver.query(`SELECT COUNT(*) AS total FROM ${from} WHERE ${where}`, params);
+        const rows = await driver.query(
+            `SELECT a.* FROM ${from} WHERE ${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+            [...params, limit, (currentPage - 1) * limit]
+        );
+        return { articles: rows.map(toArticle), total: Number(total), page: currentPage, pageSize: limit };
+    };
+
+    // The filters shared by the public listings and search, as a WHERE clause over `articles a`.
+    const publishedClause = ({ category, author, from, to } = {}) => {
+        const clauses = ['a.status = ?'];
+        const params = ['published'];
+        if (category) {
+            clauses.push('a.category = ?');
+            params.push(category);
+        }
+        if (author) {
+            clauses.push('a.author = ?');
+            params.push(author);
+        }
+        if (from) {
+            clauses.push('a.published_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            clauses.push('a.published_at < ?');
+            params.push(to);
+        }
+        return [clauses.join(' AND '), params];
+    };
+
+    const articles = {
+        // Published stories, newest first, optionally in one category or by one author. Used by the public site.
+        listPublished(options = {}) {
+            const { category, author } = options;
+            const [where, params] = publishedClause({ category, author });
+            return pageArticles(where, params, 'a.published_at DESC', options);
+        },
+        // Published stories containing every word of `query`, best match first. Each word also matches
+        // longer words it starts with ("volley" finds "volleyball"), but an exact match scores double.
+        // `options` takes the listing filters plus a { from, to } range of publication timestamps.
+        // The result includes the search `terms`, for highlighting.
+        async search(query, options = {}) {
+            const terms = [...new Set(searchTerms(query))].slice(0, MAX_SEARCH_TERMS);
+            if (!terms.length) return { articles: [], total: 0, page: 1, pageSize: SEARCH_PAGE_SIZE, terms };
+
+            const matches = terms.map(() => (
+                `SELECT article_id, SUM(weight * CASE WHEN term = ? THEN 2 ELSE 1 END) AS score
+                 FROM article_terms WHERE term LIKE ? GROUP BY article_id`
+            )).join(' UNION ALL ');
+            const [where, params] = publishedClause(options);
+            const result = await pageArticles(
+                where,
+                [...terms.flatMap((term) => [term, `${term}%`]), terms.length, ...params],
+                'm.score DESC, a.published_at DESC',
+                { pageSize: SEARCH_PAGE_SIZE, ...options },
+                `articles a JOIN (
+                    SELECT article_id, SUM(score) AS score FROM (${matches}) t GROUP BY article_id HAVING COUNT(*) = ?
+                 ) m ON m.article_id = a.id`
+            );
+            return { ...result, terms };
+        },
+        // Opens or closes a story's comments. Closing hides nothing already approved; it stops new ones.
+        setCommentsEnabled: mutation(async (id, enabled, updatedBy = null) => {
+            const existing = await articles.get(id);
+            if (!existing) throw new StorageError('Article not found.', 404);
+            await driver.execute(
+                'UPDATE articles SET comments_enabled = ?, updated_by = ?, updated_at = ? WHERE id = ?',
+                [enabled ? 1 : 0, updatedBy, now(), id]
+            );
+            await audit.record({
+                actor: updatedBy, action: enabled ? 'article.comments_opened' : 'article.comments_closed', targetType: 'article',
+                targetId: id, summary: `${enabled ? 'Opened' : 'Closed'} comments on "${existing.title}"`,
+            });
+            return articles.get(id);
+        }),
+        // Every published story, newest first, without bodies. Used by server.js for sitemap.xml.
+        async publishedIndex() {
+            const rows = await driver.query('SELECT * FROM articles WHERE status = ? ORDER BY published_at DESC', ['published']);
+            return rows.map((row) => toArticle({ ...row, body: '' }));
+        },
+        // Every byline with a published story, for the search filters.
+        async authors() {
+            const rows = await driver.query('SELECT DISTINCT author FROM articles WHERE status = ? ORDER BY author', ['published']);
+            return rows.map((row) => row.author);
+        },
+        async getPublished(slug) {
+            const rows = await driver.query('SELECT * FROM articles WHERE slug = ? AND status = ?', [slug, 'published']);
+            return rows.length ? toArticle(rows[0]) : null;
+        },
+        // Every story regardless of status, most recently edited first. Used by the newsroom.
+        list(options = {}) {
+            return pageArticles('1 = 1', [], 'a.updated_at DESC', { pageSize: 50, ...options });
+        },
+        async get(id) {
+            const rows = await driver.query('SELECT * FROM articles WHERE id = ?', [id]);
+            return rows.length ? toArticle(rows[0]) : null;
+        },
+        // Creates a story when `id` is null, otherwise merges `fields` into it, and keeps the result as a
+        // new revision. Slugs come from the title unless given, and are made unique with a numeric
+        // suffix. Status only changes through the WORKFLOW actions, never through a save.
+        // A hero image is either an uploaded photo (`heroMediaId`, whose URLs win over `heroImageUrl`)
+        // or any `heroImageUrl`.
+        save: mutation(async (id, fields) => {
+            const existing = id ? await articles.get(id) : null;
+            if (id && !existing) throw new StorageError('Article not found.', 404);
+
+            const next = { ...existing, ...fields, status: existing ? existing.status : 'draft' };
+            for (const field of ['title', 'summary', 'body', 'author']) {
+                next[field] = String(next[field] || '').trim();
+                if (!next[field]) throw new StorageError(`Articles need a ${field}.`);
+            }
+            if (!CATEGORIES.includes(next.category)) throw new StorageError('Choose a valid category.');
+
+            let heroImageUrl = next.heroImageUrl || null;
+            let heroImageSrcset = null;
+            if (next.heroMediaId) {
+                const photo = await media.get(next.heroMediaId);
+                if (!photo) throw new StorageError('That photo is no longer available. Upload it again.');
+                heroImageUrl = photo.url;
+                heroImageSrcset = photo.srcset;
+            }
+            const heroImageAlt = String(next.heroImageAlt || '').trim() || null;
+            const heroImageCredit = String(next.heroImageCredit || '').trim() || null;
+
+            const baseSlug = slugify(fields.slug || (existing ? existing.slug : next.title)) || 'story';
+            let slug = baseSlug;
+            for (let n = 2; ; n++) {
+                const clash = await driver.query('SELECT id FROM articles WHERE slug = ?', [slug]);
+                if (!clash.length || (existing && clash[0].id === existing.id)) break;
+                slug = `${baseSlug}-${n}`;
+            }
+
+            // The story, its new revision and its search terms are written together, so the history
+            // and the index never disagree with the story. Who created it and when, and when it was
+            // published, are set here and by transition(); callers can't supply them.
+            const timestamp = now();
+            const articleId = existing ? existing.id : crypto.randomUUID();
+            await driver.transaction(async (tx) => {
+                await tx.execute(
+                    `INSERT INTO articles (id, slug, title, summary, body, author, category, hero_image_url, hero_image_srcset,
+                        hero_image_alt, hero_image_credit, hero_media_id, status, published_at, created_by, updated_by, created_at, updated_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, ?, ?, ?, ?)
+                     ON CONFLICT (id) DO UPDATE SET
+                        slug = excluded.slug, title = excluded.title, summary = excluded.summary, body = excluded.body,
+                        author = excluded.author, category = excluded.category, hero_image_url = excluded.hero_image_url,
+                        hero_image_srcset = excluded.hero_image_srcset, hero_image_alt = excluded.hero_image_alt,
+                        hero_image_credit = excluded.hero_image_credit, hero_media_id = excluded.hero_media_id,
+                        updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+                    [
+                        articleId, slug, next.title, next.summary, next.body, next.author, next.category,
+                        heroImageUrl, heroImageSrcset, heroImageAlt, heroImageCredit, next.heroMediaId || null,
+                        next.status, fields.updatedBy || null, fields.updatedBy || null, timestamp, timestamp,
+                    ]
+                );
+
+                const [{ latest }] = await tx.query(
+                    'SELECT COALESCE(MAX(revision), 0) AS latest FROM article_revisions WHERE article_id = ?',
+                    [articleId]
+                );
+                await tx.execute(
+                    `INSERT INTO article_revisions (id, article_id, revision, title, summary, body, author, category, hero_image_url,
+                        hero_image_alt, hero_image_credit, hero_media_id, note, saved_by, saved_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        crypto.randomUUID(), articleId, Number(latest) + 1, next.title, next.summary, next.body, next.author,
+                        next.category, heroImageUrl, heroImageAlt, heroImageCredit, next.heroMediaId || null,
+                        fields.revisionNote || null, fields.updatedBy || null, timestamp,
+                    ]
+                );
+                await indexArticle(tx, { ...next, id: articleId });
+            });
+            // Edits are already in the revision history; the audit log only needs new stories.
+            if (!existing) {
+                await audit.record({
+                    actor: fields.updatedBy || null, action: 'article.create', targetType: 'article', targetId: articleId,
+                    summary: `Started "${next.title}"`,
+                });
+            }
+            return articles.get(articleId);
+        }),
+        // Every saved version of a story, newest first.
+        async revisions(id) {
+            const rows = await driver.query(
+                'SELECT * FROM article_revisions WHERE article_id = ? ORDER BY revision DESC',
+                [id]
+            );
+            return rows.map(toRevision);
+        },
+        // Rolls a story's content back to an earlier revision. The rollback is itself a new revision,
+        // so it can be undone the same way.
+        async restoreRevision(id, revision, updatedBy = null) {
+            const rows = await driver.query(
+                'SELECT * FROM article_revisions WHERE article_id = ? AND revision = ?',
+                [id, revision]
+            );
+            if (!rows.length) throw new StorageError('Revision not found.', 404);
+            const { title, summary, body, author, category, heroImageUrl, heroImageAlt, heroImageCredit, heroMediaId } = toRevision(rows[0]);
+            const restored = await articles.save(id, {
+                title, summary, body, author, category, heroImageUrl, heroImageAlt, heroImageCredit, heroMediaId,
+                updatedBy, revisionNote: `Restored revision ${revision}`,
+            });
+            await audit.record({
+                actor: updatedBy, action: 'article.restore_revision', targetType: 'article', targetId: id,
+                summary: `Restored revision ${revision} of "${restored.title}"`, details: { revision },
+            });
+            return restored;
+        },
+        // Publishes every scheduled story whose time has come, and returns how many went out. server.js
+        // runs this every minute. A story edited since it was scheduled so that it can no longer be
+        // published (say, its photo credit was removed) stays scheduled until an editor fixes it.
+        publishDue: mutation(async () => {
+            const due = await driver.query(
+                'SELECT id FROM articles WHERE status = ? AND scheduled_for <= ?',
+                ['scheduled', now()]
+            );
+            let published = 0;
+            for (const { id } of due) {
+                try {
+                    await transition(id, 'publish');
+                    published++;
+                } catch (error) {
+                    if (!(error instanceof StorageError)) throw error;
+                }
+            }
+            return published;
+        }),
+    };
+
+    // Moves a story through one WORKFLOW step. `note` is shown to the writer when changes are
+    // requested; `scheduledFor` (ISO timestamp, in the future) is required to schedule. `publishedAt`
+    // (ISO timestamp, not in the future) backdates a story published now. This is the only place a
+    // story's publication date is set.
+    const transition = async (id, action, { note = null, scheduledFor = null, publishedAt: backdate = null, updatedBy = null } = {}) => {
+        const step = WORKFLOW[action];
+        const existing = await articles.get(id);
+        if (!existing) throw new StorageError('Article not found.', 404);
+        if (!step.from.includes(existing.status)) {
+            throw new StorageError(`A ${existing.status.replace('_', ' ')} story can't be moved to ${step.to.replace('_', ' ')}.`, 409);
+        }
+
+        // Readers who use screen readers need the alt text, and photographers are owed their credit.
+        if ((action === 'publish' || action === 'schedule') && existing.heroImageUrl
+            && (!existing.heroImageAlt || !existing.heroImageCredit)) {
+            throw new StorageError('Add alt text and a photo credit for the hero image before publishing.', 422);
+        }
+
+        let scheduled = existing.scheduledFor;
+        let publishedAt = existing.publishedAt;
+        if (action === 'schedule') {
+            if (!scheduledFor || !(new Date(scheduledFor) > new Date())) {
+                throw new StorageError('Pick a publication time in the future.');
+            }
+            scheduled = new Date(scheduledFor).toISOString();
+        } else if (action === 'unschedule') {
+            scheduled = null;
+        } else if (action === 'publish') {
+            if (backdate && !(new Date(backdate) <= new Date())) {
+                throw new StorageError("A publish date can't be in the future. Schedule the story instead.");
+            }
+            // A scheduled story goes out dated for its slot; otherwise use the backdate, the date it
+            // first went out (when republished) or now.
+            publishedAt = existing.status === 'scheduled'
+                ? existing.scheduledFor
+                : (backdate && new Date(backdate).toISOString()) || existing.publishedAt || now();
+            scheduled = null;
+        }
+
+        await driver.execute(
+            `UPDATE articles SET status = ?, scheduled_for = ?, published_at = ?, review_note = ?, updated_by = ?, updated_at = ?
+             WHERE id = ?`,
+            [step.to, scheduled, publishedAt, action === 'requestChanges' ? note : null, updatedBy, now(), id]
+        );
+        // No `updatedBy` means the scheduler published it.
+        const details = { from: existing.status, to: step.to };
+        if (action === 'schedule') details.scheduledFor = scheduled;
+        if (action === 'requestChanges' && note) details.note = note;
+        await audit.record({
+            actor: updatedBy, action: `article.${action}`, targetType: 'article', targetId: id,
+            summary: `${step.done} "${existing.title}"`, details,
+        });
+        return articles.get(id);
+    };
+
+    for (const action of Object.keys(WORKFLOW)) {
+        articles[action] = mutation((id, options) => transition(id, action, options));
+    }
+
+    // Editions are public from their print date; `today` is a "YYYY-MM-DD" UTC date.
+    const today = () => now().slice(0, 10);
+
+    // Story counts and the lead story's hero image, for edition listings. `visibleStatus` limits both
+    // to stories in that status ('published' for readers); null counts every story but archived ones.
+    const editionListing = async (where, params, visibleStatus) => {
+        const storyClause = visibleStatus ? 'a.status = ?' : 'a.status <> ?';
+        const storyParam = visibleStatus || 'archived';
+        const rows = await driver.query(
+            `SELECT e.*,
+                (SELECT COUNT(*) FROM articles a WHERE a.edition_id = e.id AND ${storyClause}) AS stories,
+                (SELECT a.hero_image_url FROM articles a WHERE a.edition_id = e.id AND ${storyClause}
+                 ORDER BY a.edition_position LIMIT 1) AS cover_image_url
+             FROM editions e WHERE ${where}
+             ORDER BY e.volume DESC, e.issue DESC`,
+            [storyParam, storyParam, ...params]
+        );
+        return rows.map(toEdition);
+    };
+
+    const editions = {
+        // Editions that have come out, newest first, with how many of their stories are on the site.
+        list() {
+            return editionListing('e.published_on IS NOT NULL AND e.published_on <= ?', [today()], 'published');
+        },
+        // An edition that has come out, with its published stories in running order, or null.
+        async getPublished(volume, issue) {
+            const rows = await driver.query(
+                'SELECT * FROM editions WHERE volume = ? AND issue = ? AND published_on IS NOT NULL AND published_on <= ?',
+                [Number(volume), Number(issue), today()]
+            );
+            if (!rows.length) return null;
+            const stories = await driver.query(
+                'SELECT * FROM articles WHERE edition_id = ? AND status = ? ORDER BY edition_position',
+                [rows[0].id, 'published']
+            );
+            return { edition: toEdition(rows[0]), articles: stories.map(toArticle) };
+        },
+        // Every edition, planned ones included, newest first. Used by the newsroom.
+        listAll() {
+            return editionListing('1 = 1', [], null);
+        },
+        // An edition and every story in it that isn't archived, whatever its status, for laying out
+        // the print issue (which often goes to the printer before the stories go up online).
+        async contents(id) {
+            const rows = await driver.query('SELECT * FROM editions WHERE id = ?', [id]);
+            if (!rows.length) throw new StorageError('Edition not found.', 404);
+            const stories = await driver.query(
+                'SELECT * FROM articles WHERE edition_id = ? AND status <> ? ORDER BY edition_position',
+                [id, 'archived']
+            );
+            return { edition: toEdition(rows[0]), articles: stories.map(toArticle) };
+        },
+        // Creates an edition when `id` is null, otherwise updates it. `publishedOn` ("YYYY-MM-DD", or
+        // null while the issue is being planned) is when it appears in the archive.
+        save: mutation(async (id, fields, updatedBy = null) => {
+            const volume = Number(fields.volume);
+            const issue = Number(fields.issue);
+            if (!Number.isInteger(volume) || volume < 1 || !Number.isInteger(issue) || issue < 1) {
+                throw new StorageError('Volume and issue must be whole numbers from 1 up.');
+            }
+            const publishedOn = fields.publishedOn || null;
+            if (publishedOn && !/^\d{4}-\d{2}-\d{2}$/.test(publishedOn)) throw new StorageError('Print dates look like 2025-03-14.');
+            const title = String(fields.title || '').trim().slice(0, 120) || null;
+
+            const clash = await driver.query(
+                'SELECT id FROM editions WHERE volume = ? AND issue = ? AND id <> ?',
+                [volume, issue, id || '']
+            );
+            if (clash.length) throw new StorageError(`Vol. ${volume}, Issue ${issue} already exists.`, 409);
+
+            const timestamp = now();
+            const editionId = id || crypto.randomUUID();
+            if (id) {
+                const existing = await driver.query('SELECT id FROM editions WHERE id = ?', [id]);
+                if (!existing.length) throw new StorageError('Edition not found.', 404);
+                await driver.execute(
+                    'UPDATE editions SET volume = ?, issue = ?, title = ?, published_on = ?, updated_by = ?, updated_at = ? WHERE id = ?',
+                    [volume, issue, title, publishedOn, updatedBy, timestamp, id]
+                );
+            } else {
+                await driver.execute(
+                    `INSERT INTO editions (id, volume, issue, title, published_on, created_by, updated_by, created_at, updated_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [editionId, volume, issue, title, publishedOn, updatedBy, updatedBy, timestamp, timestamp]
+                );
+            }
+            await audit.record({
+                actor: updatedBy, action: id ? 'edition.update' : 'edition.create', targetType: 'edition', targetId: editionId,
+                summary: `${id ? 'Updated' : 'Created'} Vol. ${volume}, Issue ${issue}`, details: { title, publishedOn },
+            });
+            const rows = await driver.query('SELECT * FROM editions WHERE id = ?', [editionId]);
+            return toEdition(rows[0]);
+        }),
+        // Makes `articleIds`, in order, the edition's stories. Stories taken out leave the edition;
+        // stories that were in another edition move to this one.
+        setArticles: mutation(async (id, articleIds, updatedBy = null) => {
+            const existing = await driver.query('SELECT volume, issue FROM editions WHERE id = ?', [id]);
+            if (!existing.length) throw new StorageError('Edition not found.', 404);
+            const ids = [...new Set(articleIds)];
+            await driver.transaction(async (tx) => {
+                await tx.execute('UPDATE articles SET edition_id = NULL, edition_position = NULL WHERE edition_id = ?', [id]);
+                for (const [position, articleId] of ids.entries()) {
+                    await tx.execute('UPDATE articles SET edition_id = ?, edition_position = ? WHERE id = ?', [id, position, articleId]);
+                }
+                await tx.execute('UPDATE editions SET updated_by = ?, updated_at = ? WHERE id = ?', [updatedBy, now(), id]);
+            });
+            await audit.record({
+                actor: updatedBy, action: 'edition.stories', targetType: 'edition', targetId: id,
+                summary: `Set the ${ids.length} ${ids.length === 1 ? 'story' : 'stories'} in Vol. ${existing[0].volume}, Issue ${existing[0].issue}`,
+                details: { articleIds: ids },
+            });
+            return editions.contents(id);
+        }),
+        // Deletes an edition. Its stories stay, no longer in any edition.
+        delete: mutation(async (id, deletedBy = null) => {
+            const rows = await driver.query('SELECT * FROM editions WHERE id = ?', [id]);
+            if (!rows.length) return;
+            await driver.transaction(async (tx) => {
+                await tx.execute('UPDATE articles SET edition_id = NULL, edition_position = NULL WHERE edition_id = ?', [id]);
+                await tx.execute('DELETE FROM editions WHERE id = ?', [id]);
+            });
+            const edition = toEdition(rows[0]);
+            await audit.record({
+                actor: deletedBy, action: 'edition.delete', targetType: 'edition', targetId: id,
+                summary: `Deleted Vol. ${edition.volume}, Issue ${edition.issue}`,
+                details: { title: edition.title, publishedOn: edition.publishedOn },
+            });
+        }),
+    };
+
+    const settings = {
+        async get(name, fallback) {
+            const rows = await driver.query('SELECT value FROM settings WHERE name = ?', [name]);
+            return rows.length ? JSON.parse(rows[0].value) : fallback;
+        },
+        async set(name, value, updatedBy = null) {
+            await driver.execute(
+                `INSERT INTO settings (name, value, updated_by, updated_at) VALUES (?, ?, ?, ?)
+                 ON CONFLICT (name) DO UPDATE SET value = excluded.value, updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+                [name, JSON.stringify(value), updatedBy, now()]
+            );
+        },
+    };
+
+    // Sets a pending comment's status. Comments that were already moderated are left alone, so two
+    // editors working the queue at once can't overturn each other.
+    const moderate = async (id, status, moderatedBy) => {
+        const rows = await driver.query(
+            'SELECT c.status, c.author_name, a.title FROM comments c JOIN articles a ON a.id = c.article_id WHERE c.id = ?',
+            [id]
+        );
+        if (!rows.length) throw new StorageError('Comment not found.', 404);
+        if (rows[0].status !== 'pending') throw new StorageError('Someone already moderated this comment.', 409);
+        await driver.execute(
+            'UPDATE comments SET status = ?, moderated_by = ?, moderated_at = ? WHERE id = ?',
+            [status, moderatedBy, now(), id]
+        );
+        await audit.record({
+            actor: moderatedBy, action: status === 'approved' ? 'comment.approve' : 'comment.reject', targetType: 'comment',
+            targetId: id, summary: `${status === 'approved' ? 'Approved' : 'Rejected'} a comment by ${rows[0].author_name} on "${rows[0].title}"`,
+        });
+    };
+
+    const comments = {
+        // Approved comments on a story, oldest first.
+        async listApproved(articleId) {
+            const rows = await driver.query(
+                'SELECT * FROM comments WHERE article_id = ? AND status = ? ORDER BY created_at',
+                [articleId, 'approved']
+            );
+            return rows.map(toPublicComment);
+        },
+        // Queues a reader's comment for moderation. `commenterId` is the reader's (anonymous) Firebase
+        // uid, which server.js fills in from their ID token; bans and the rate limit apply to it.
+        submit: mutation(async (articleId, { authorName, body, commenterId }) => {
+            if (!commenterId) throw new StorageError('Reload the page to comment.', 401);
+            const name = String(authorName || '').trim().slice(0, 60);
+            const text = String(body || '').trim();
+            if (!name || !text) throw new StorageError('Comments need a name and a message.');
+            if (text.length > COMMENT_MAX_LENGTH) {
+                throw new StorageError(`Comments can be at most ${COMMENT_MAX_LENGTH} characters.`);
+            }
+
+            const article = await articles.get(articleId);
+            if (!article || article.status !== 'published') throw new StorageError('Article not found.', 404);
+            if (!article.commentsEnabled) throw new StorageError('Comments are closed on this story.', 403);
+
+            const banned = await driver.query('SELECT 1 AS banned FROM comment_bans WHERE commenter_id = ?', [commenterId]);
+            if (banned.length) throw new StorageError("You can't comment on The Current.", 403);
+
+            const since = new Date(Date.now() - COMMENT_RATE_LIMIT.minutes * 60000).toISOString();
+            const [{ recent }] = await driver.query(
+                'SELECT COUNT(*) AS recent FROM comments WHERE commenter_id = ? AND created_at >= ?',
+                [commenterId, since]
+            );
+            if (Number(recent) >= COMMENT_RATE_LIMIT.count) {
+                throw new StorageError('You are commenting too quickly. Please wait a few minutes.', 429);
+            }
+
+            const blockedWords = await comments.blockedWords();
+            if (findBlockedWords(`${name} ${text}`, blockedWords).length) {
+                throw new StorageError('Please keep comments respectful; yours contains language we don\'t allow.', 422);
+            }
+
+            const id = crypto.randomUUID();
+            await driver.execute(
+                `INSERT INTO comments (id, article_id, author_name, body, status, commenter_id, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [id, articleId, name, text, 'pending', commenterId, now()]
+            );
+            return { id, status: 'pending' };
+        }),
+        // Comments waiting for an editor, oldest first, with the story each belongs to.
+        async queue() {
+            const rows = await driver.query(
+                `SELECT c.*, a.title AS article_title, a.slug AS article_slug
+                 FROM comments c JOIN articles a ON a.id = c.article_id
+                 WHERE c.status = ? ORDER BY c.created_at`,
+                ['pending']
+            );
+            return rows.map(toComment);
+        },
+        approve: mutation((id, moderatedBy = null) => moderate(id, 'approved', moderatedBy)),
+        reject: mutation((id, moderatedBy = null) => moderate(id, 'rejected', moderatedBy)),
+        // Rejects a comment and bans whoever wrote it: their other pending comments are rejected too,
+        // and they can't post again until unbanned.
+        ban: mutation(async (id, moderatedBy = null) => {
+            const rows = await driver.query('SELECT commenter_id, author_name FROM comments WHERE id = ?', [id]);
+            if (!rows.length) throw new StorageError('Comment not found.', 404);
+            const { commenter_id: commenterId, author_name: displayName } = rows[0];
+            const timestamp = now();
+            await driver.transaction(async (tx) => {
+                await tx.execute(
+                    `INSERT INTO comment_bans (commenter_id, display_name, banned_by, created_at) VALUES (?, ?, ?, ?)
+                     ON CONFLICT (commenter_id) DO NOTHING`,
+                    [commenterId, displayName, moderatedBy, timestamp]
+                );
+                await tx.execute(
+                    'UPDATE comments SET status = ?, moderated_by = ?, moderated_at = ? WHERE commenter_id = ? AND status = ?',
+                    ['rejected', moderatedBy, timestamp, commenterId, 'pending']
+                );
+            });
+            await audit.record({
+                actor: moderatedBy, action: 'comment.ban', targetType: 'commenter', targetId: commenterId,
+                summary: `Banned ${displayName} from commenting`, details: { commentId: id },
+            });
+        }),
+        async bans() {
+            const rows = await driver.query('SELECT * FROM comment_bans ORDER BY created_at DESC');
+            return rows.map((row) => ({
+                commenterId: row.commenter_id, displayName: row.display_name, bannedBy: row.banned_by, createdAt: row.created_at,
+            }));
+        },
+        unban: mutation(async (commenterId, unbannedBy = null) => {
+            const rows = await driver.query('SELECT display_name FROM comment_bans WHERE commenter_id = ?', [commenterId]);
+            if (!rows.length) return;
+            await driver.execute('DELETE FROM comment_bans WHERE commenter_id = ?', [commenterId]);
+            await audit.record({
+                actor: unbannedBy, action: 'comment.unban', targetType: 'commenter', targetId: commenterId,
+                summary: `Lifted the comment ban on ${rows[0].display_name}`,
+            });
+        }),
+        blockedWords() {
+            return settings.get('comment_blocked_words', DEFAULT_BLOCKED_WORDS);
+        },
+        // Replaces the word filter. Words are stored lowercased, deduplicated and sorted; anything that
+        // isn't a single word of plain letters is dropped.
+        setBlockedWords: mutation(async (words, updatedBy = null) => {
+            const cleaned = [...new Set((Array.isArray(words) ? words : [])
+                .map((word) => String(word).trim().toLowerCase())
+                .filter((word) => /^[a-z]+$/.test(word)))].sort();
+            await settings.set('comment_blocked_words', cleaned, updatedBy);
+            await audit.record({
+                actor: updatedBy, action: 'comment.word_filter', targetType: 'setting', targetId: 'comment_blocked_words',
+                summary: `Updated the comment word filter (${cleaned.length} ${cleaned.length === 1 ? 'word' : 'words'})`,
+            });
+            return cleaned;
+        }),
+    };
+
+    // Every report takes the same { from, to } range of ISO timestamps; `to` is exclusive. Rollups hold
+    // whole UTC days, so ranges are widened to whole days (`from` back to its midnight, `to` on to the
+    // next) and raw events and rollups are counted over exactly the same days.
+    const wholeDays = ({ from, to } = {}) => {
+        if (!from || !to) throw new StorageError('Choose a date range.');
+        const [start, end] = [new Date(from).getTime(), new Date(to).getTime()];
+        if (Number.isNaN(start) || Number.isNaN(end)) throw new StorageError('Choose a date range.');
+        return [Math.floor(start / DAY_MS) * DAY_MS, Math.ceil(end / DAY_MS) * DAY_MS].map((time) => new Date(time).toISOString());
+    };
+    const rangeClause = (range) => ['occurred_at >= ? AND occurred_at < ?', wholeDays(range)];
+    const rollupClause = (range) => ['day >= ? AND day < ?', wholeDays(range).map((timestamp) => timestamp.slice(0, 10))];
+
+    // Raw events grouped the way analytics_rollups stores them.
+    const trafficColumns = `SUBSTR(occurred_at, 1, 10) AS day, type, COALESCE(article_id, '') AS article_id,
+        COALESCE(section, '') AS section, COUNT(*) AS hits,
+        SUM(CASE WHEN ${countedView()} THEN 1 ELSE 0 END) AS views, SUM(is_bot) AS bot_hits`;
+    const trafficGroups = "SUBSTR(occurred_at, 1, 10), type, COALESCE(article_id, ''), COALESCE(section, '')";
+    const addToRollups = `ON CONFLICT (day, type, article_id, section) DO UPDATE SET
+        hits = analytics_rollups.hits + excluded.hits, views = analytics_rollups.views + excluded.views,
+        bot_hits = analytics_rollups.bot_hits + excluded.bot_hits`;
+
+    // Traffic in the range as a table `t` of (day, type, article_id, section, hits, views, bot_hits):
+    // the raw events plus the rollups that replaced older ones and hold visitors who declined analytics.
+    const trafficIn = (range) => {
+        const [where, params] = rangeClause(range);
+        const [rollupWhere, rollupParams] = rollupClause(range);
+        return [
+            `(SELECT ${trafficColumns} FROM analytics_events WHERE ${where} GROUP BY ${trafficGroups}
+              UNION ALL
+              SELECT day, type, article_id, section, hits, views, bot_hits FROM analytics_rollups WHERE ${rollupWhere}) t`,
+            [...params, ...rollupParams],
+        ];
+    };
+
+    // Folds the raw events matching `where` into the rollups, inside the caller's transaction `tx`.
+    const rollUpEvents = (tx, where, params) => tx.execute(
+        `INSERT INTO analytics_rollups (day, type, article_id, section, hits, views, bot_hits)
+         SELECT ${trafficColumns} FROM analytics_events WHERE ${where} GROUP BY ${trafficGroups}
+         ${addToRollups}`,
+        params
+    );
+
+    // Adds the distinct visitors per day among the raw events matching `where` to the saved counts,
+    // inside the caller's transaction `tx`.
+    const rollUpVisitors = (tx, where, params) => tx.execute(
+        `INSERT INTO analytics_rollup_visitors (day, visitors)
+         SELECT SUBSTR(occurred_at, 1, 10), COUNT(DISTINCT visitor_id) FROM analytics_events
+         WHERE is_bot = 0 AND ${where} GROUP BY SUBSTR(occurred_at, 1, 10)
+         ON CONFLICT (day) DO UPDATE SET visitors = analytics_rollup_visitors.visitors + excluded.visitors`,
+        params
+    );
+
+    // Unique visitors per UTC day in the range: distinct ids in raw events, plus the counts saved when
+    // older days were rolled up.
+    const visitorsByDay = async (range) => {
+        const [where, params] = rangeClause(range);
+        const [rollupWhere, rollupParams] = rollupClause(range);
+        const raw = await driver.query(
+            `SELECT SUBSTR(occurred_at, 1, 10) AS day, COUNT(DISTINCT visitor_id) AS visitors
+             FROM analytics_events WHERE is_bot = 0 AND ${where} GROUP BY SUBSTR(occurred_at, 1, 10)`,
+            params
+        );
+        const rolled = await driver.query(`SELECT day, visitors FROM analytics_rollup_visitors WHERE ${rollupWhere}`, rollupParams);
+        const byDay = new Map();
+        for (const row of [...raw, ...rolled]) byDay.set(row.day, (byDay.get(row.day) || 0) + Number(row.visitors));
+        return byDay;
+    };
+
+    // One to MAX_VISITOR_IDS visitor ids from a data request, as a list or separated by commas or spaces.
+    const visitorIdList = (visitorIds) => {
+        const ids = [...new Set((Array.isArray(visitorIds) ? visitorIds : String(visitorIds || '').split(/[\s,]+/))
+            .map((id) => String(id).trim().slice(0, 64))
+            .filter(Boolean))];
+        if (!ids.length) throw new StorageError('Enter a visitor id.');
+        if (ids.length > MAX_VISITOR_IDS) throw new StorageError(`Enter at most ${MAX_VISITOR_IDS} visitor ids at a time.`);
+        return ids;
+    };
+
+    // Search counts per normalized query, most searched first; `onlyEmpty` keeps searches that found nothing.
+    const searchTotals = async (range, limit, onlyEmpty) => {
+        const [where, params] = rangeClause(range);
+        const rows = await driver.query(
+            `SELECT normalized, MAX(query) AS query, COUNT(*) AS searches,
+                SUM(CASE WHEN results = 0 THEN 1 ELSE 0 END) AS empty, MAX(occurred_at) AS last_searched_at
+             FROM search_queries
+             WHERE is_bot = 0 ${onlyEmpty ? 'AND results = 0' : ''} AND ${where}
+             GROUP BY normalized
+             ORDER BY searches DESC, normalized
+             LIMIT ?`,
+            [...params, Math.min(Number(limit) || 10, 100)]
+        );
+        return rows.map((row) => ({
+            query: row.query,
+            terms: row.normalized,
+            searches: Number(row.searches),
+            zeroResults: Number(row.empty),
+            lastSearchedAt: row.last_searched_at,
+        }));
+    };
+
+    const analytics = {
+        // Logs a hit and decides whether it counts as a view. `sessionId` is per browser tab and
+        // `visitorId` is the reader's rotating anonymous id; neither identifies a person.
+        //
+        // Readers who haven't allowed analytics send `aggregate` instead of ids: their hit is only added
+        // to the day's totals in analytics_rollups, and the tab's own `repeat` flag stands in for the
+        // session check.
+        record: mutation(async (event) => {
+            if (!EVENT_TYPES.includes(event.type)) throw new StorageError('Unknown event type.');
+            const path = String(event.path || '/').slice(0, 500);
+            const section = CATEGORIES.includes(event.section) ? event.section : null;
+            const isBot = isBotUserAgent(event.userAgent);
+            let counted;
+
+            if (event.aggregate) {
+                counted = !event.repeat;
+                await driver.execute(
+                    `INSERT INTO analytics_rollups (day, type, article_id, section, hits, views, bot_hits)
+                     VALUES (?, ?, ?, ?, 1, ?, ?)
+                     ${addToRollups}`,
+                    [now().slice(0, 10), event.type, event.articleId ? String(event.articleId) : '', section || '', counted && !isBot ? 1 : 0, isBot ? 1 : 0]
+                );
+            } else {
+                const sessionId = event.sessionId ? String(event.sessionId).slice(0, 64) : null;
+                const repeats = sessionId
+                    ? await driver.query('SELECT 1 AS seen FROM analytics_events WHERE session_id = ? AND path = ? LIMIT 1', [sessionId, path])
+                    : [];
+                counted = repeats.length === 0;
+
+                await driver.execute(
+                    `INSERT INTO analytics_events (id, type, path, article_id, section, referrer, device, session_id, visitor_id, is_bot, counted, occurred_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        crypto.randomUUID(),
+                        event.type,
+                        path,
+                        event.articleId || null,
+                        section,
+                        event.referrer ? String(event.referrer).slice(0, 255) : null,
+                        DEVICE_CLASSES.includes(event.device) ? event.device : 'desktop',
+                        sessionId,
+                        event.visitorId ? String(event.visitorId).slice(0, 64) : null,
+                        isBot ? 1 : 0,
+                        counted ? 1 : 0,
+                        now(),
+                    ]
+                );
+            }
+
+            await counters.increment(HIT_COUNTER);
+            if (counted && !isBot) await counters.increment(VIEW_COUNTER);
+            return { counted: counted && !isBot };
+        }),
+        // Logs a reader's search and how many stories it found, once per tab: paging through results or
+        // coming back to them doesn't log it again. Filters are kept so a search for "prom" in Sports
+        // that finds nothing isn't mistaken for a gap in coverage. With `aggregate` (see record), the
+        // search is kept without ids and the tab skips its own repeats.
+        recordSearch: mutation(async (event) => {
+            const normalized = searchTerms(event.query).slice(0, MAX_SEARCH_TERMS).join(' ');
+            if (!normalized) return { logged: false };
+            const sessionId = !event.aggregate && event.sessionId ? String(event.sessionId).slice(0, 64) : null;
+            const visitorId = !event.aggregate && event.visitorId ? String(event.visitorId).slice(0, 64) : null;
+            const category = CATEGORIES.includes(event.category) ? event.category : null;
+            const author = event.author ? String(event.author).slice(0, 120) : null;
+
+            if (sessionId) {
+                const repeats = await driver.query(
+                    `SELECT 1 AS seen FROM search_queries
+                     WHERE session_id = ? AND normalized = ? AND COALESCE(category, '') = ? AND COALESCE(author, '') = ? LIMIT 1`,
+                    [sessionId, normalized, category || '', author || '']
+                );
+                if (repeats.length) return { logged: false };
+            }
+
+            await driver.execute(
+                `INSERT INTO search_queries (id, query, normalized, category, author, results, session_id, visitor_id, is_bot, occurred_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    crypto.randomUUID(),
+                    String(event.query).trim().slice(0, 200),
+                    normalized,
+                    category,
+                    author,
+                    Math.max(Number(event.results) || 0, 0),
+                    sessionId,
+                    visitorId,
+                    isBotUserAgent(event.userAgent) ? 1 : 0,
+                    now(),
+                ]
+            );
+            return { logged: true };
+        }),
+        // What readers search for most in the range, with how often each search came up empty.
+        topSearches(range, limit = 10) {
+            return searchTotals(range, limit, false);
+        },
+        // Searches that found nothing: coverage readers want and can't find (or words the index misses).
+        zeroResultSearches(range, limit = 10) {
+            return searchTotals(range, limit, true);
+        },
+        // Raw hits, filtered views and unique visitors side by side. Visitor ids rotate monthly, so a
+        // reader who visits in two different months counts twice over a range spanning both. Only
+        // readers who allowed analytics have an id, and once their events are rolled up each day's
+        // visitors are added together, so a reader counts once per day they visited.
+        async summary(range) {
+            const [traffic, params] = trafficIn(range);
+            const [where, rawParams] = rangeClause(range);
+            const [rollupWhere, rollupParams] = rollupClause(range);
+            const [[row], [raw], [rolled]] = await Promise.all([
+                driver.query(`SELECT SUM(hits) AS hits, SUM(views) AS views, SUM(bot_hits) AS bot_hits FROM ${traffic}`, params),
+                driver.query(`SELECT COUNT(DISTINCT visitor_id) AS visitors FROM analytics_events WHERE is_bot = 0 AND ${where}`, rawParams),
+                driver.query(`SELECT SUM(visitors) AS visitors FROM analytics_rollup_visitors WHERE ${rollupWhere}`, rollupParams),
+            ]);
+            return {
+                hits: Number(row.hits || 0),
+                views: Number(row.views || 0),
+                botHits: Number(row.bot_hits || 0),
+                uniqueVisitors: Number(raw.visitors) + Number(rolled.visitors || 0),
+            };
+        },
+        // Most-opened stories in the range.
+        async topArticles(range, limit = 10) {
+            const [traffic, params] = trafficIn(range);
+            const rows = await driver.query(
+                `SELECT t.article_id, a.title, a.slug, a.category, SUM(t.views) AS views
+                 FROM ${traffic} JOIN articles a ON a.id = t.article_id
+                 WHERE t.type = ?
+                 GROUP BY t.article_id, a.title, a.slug, a.category
+                 HAVING SUM(t.views) > 0
+                 ORDER BY views DESC, a.title
+                 LIMIT ?`,
+                [...params, 'article_open', Math.min(Number(limit) || 10, 100)]
+            );
+            return rows.map((row) => ({
+                articleId: row.article_id, title: row.title, slug: row.slug, category: row.category, views: Number(row.views),
+            }));
+        },
+        // Hits, views and unique visitors for every UTC day in the range, oldest first, quiet days included.
+        async daily(range) {
+            const [traffic, params] = trafficIn(range);
+            const [rows, visitors] = await Promise.all([
+                driver.query(`SELECT day, SUM(hits) AS hits, SUM(views) AS views FROM ${traffic} GROUP BY day`, params),
+                visitorsByDay(range),
+            ]);
+            const byDay = new Map(rows.map((row) => [row.day, row]));
+            const [from, to] = wholeDays(range);
+            const days = [];
+            for (let day = new Date(from); day < new Date(to); day.setUTCDate(day.getUTCDate() + 1)) {
+                const date = day.toISOString().slice(0, 10);
+                const row = byDay.get(date);
+                days.push({
+                    date,
+                    hits: row ? Number(row.hits) : 0,
+                    views: row ? Number(row.views || 0) : 0,
+                    uniqueVisitors: visitors.get(date) || 0,
+                });
+            }
+            return days;
+        },
+        // Everything the Readership panel shows for the range in one object, for CSV/JSON downloads
+        // and the weekly report (see reports.js).
+        async export(range) {
+            const [summary, days, topArticles, sections] = await Promise.all([
+                analytics.summary(range),
+                analytics.daily(range),
+                analytics.topArticles(range, 100),
+                analytics.sectionTotals(range),
+            ]);
+            return { from: range.from, to: range.to, generatedAt: now(), summary, days, topArticles, sections };
+        },
+        // Whether the weekly report for the week starting `weekStart` ("YYYY-MM-DD") has gone out.
+        async reportSent(weekStart) {
+            const rows = await driver.query('SELECT 1 AS sent FROM report_deliveries WHERE week_start = ?', [weekStart]);
+            return rows.length > 0;
+        },
+        async recordReport(weekStart, recipients) {
+            await driver.execute(
+                'INSERT INTO report_deliveries (week_start, recipients, sent_at) VALUES (?, ?, ?) ON CONFLICT (week_start) DO NOTHING',
+                [weekStart, recipients.join(', '), now()]
+            );
+        },
+        // Views per section (section listings plus their stories); every section is listed, even at zero.
+        async sectionTotals(range) {
+            const [traffic, params] = trafficIn(range);
+            const rows = await driver.query(`SELECT section, SUM(views) AS views FROM ${traffic} WHERE section <> '' GROUP BY section`, params);
+            const totals = Object.fromEntries(rows.map((row) => [row.section, Number(row.views)]));
+            return CATEGORIES.map((section) => ({ section, views: totals[section] || 0 }));
+        },
+        // Views (not raw hits) bucketed by day, week (starting Monday) or month, oldest first. Days are UTC.
+        async series(range, interval = 'day') {
+            if (!SERIES_INTERVALS.includes(interval)) throw new StorageError('Unknown interval.');
+            const [traffic, params] = trafficIn(range);
+            const rows = await driver.query(`SELECT day, SUM(views) AS views FROM ${traffic} GROUP BY day`, params);
+            // Start every bucket in the range at zero so quiet days still show up on a chart.
+            const buckets = new Map();
+            const [from, to] = wholeDays(range);
+            for (let day = new Date(from); day < new Date(to); day.setUTCDate(day.getUTCDate() + 1)) {
+                buckets.set(seriesBucket(day.toISOString().slice(0, 10), interval), 0);
+            }
+            for (const row of rows) {
+                const bucket = seriesBucket(row.day, interval);
+                buckets.set(bucket, (buckets.get(bucket) || 0) + Number(row.views));
+            }
+            return [...buckets.entries()]
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([bucket, views]) => ({ bucket, views }));
+        },
+        // Days raw events are kept (see ANALYTICS_RETENTION).
+        retention() {
+            return settings.get('analytics_retention_days', ANALYTICS_RETENTION.defaultDays);
+        },
+        setRetention: mutation(async (days, updatedBy = null) => {
+            const { minDays, maxDays } = ANALYTICS_RETENTION;
+            const value = Number(days);
+            if (!Number.isInteger(value) || value < minDays || value > maxDays) {
+                throw new StorageError(`Keep raw analytics for ${minDays} to ${maxDays} days.`);
+            }
+            const previous = await analytics.retention();
+            await settings.set('analytics_retention_days', value, updatedBy);
+            await audit.record({
+                actor: updatedBy, action: 'privacy.retention', targetType: 'setting', targetId: 'analytics_retention_days',
+                summary: `Set analytics retention to ${value} days`,
+                details: { previous, days: value },
+            });
+            return value;
+        }),
+        // Rolls raw events from before the retention window into daily totals and deletes them, and
+        // takes the ids off older searches. The cutoff is a UTC midnight, so every day is rolled up
+        // whole. Not in METHOD_ACCESS: the server runs it every hour.
+        purgeExpired: mutation(async () => {
+            const days = await analytics.retention();
+            const cutoff = new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS - days * DAY_MS).toISOString();
+            const [expired] = await driver.query('SELECT COUNT(*) AS events FROM analytics_events WHERE occurred_at < ?', [cutoff]);
+            const [identified] = await driver.query(
+                'SELECT COUNT(*) AS searches FROM search_queries WHERE occurred_at < ? AND (session_id IS NOT NULL OR visitor_id IS NOT NULL)',
+                [cutoff]
+            );
+            const events = Number(expired.events);
+            const searches = Number(identified.searches);
+            if (!events && !searches) return { events, searches };
+
+            await driver.transaction(async (tx) => {
+                await rollUpEvents(tx, 'occurred_at < ?', [cutoff]);
+                await rollUpVisitors(tx, 'occurred_at < ?', [cutoff]);
+                await tx.execute('DELETE FROM analytics_events WHERE occurred_at < ?', [cutoff]);
+                await tx.execute('UPDATE search_queries SET session_id = NULL, visitor_id = NULL WHERE occurred_at < ?', [cutoff]);
+            });
+            await audit.record({
+                action: 'privacy.purge', targetType: 'setting', targetId: 'analytics_retention_days',
+                summary: `Rolled up ${events} analytics ${events === 1 ? 'event' : 'events'} older than ${days} days`,
+                details: { cutoff, events, searches },
+            });
+            return { events, searches };
+        }),
+        // Everything stored under the given visitor ids, for a parent's data request. The reader finds
+        // their ids under "Privacy settings" at the foot of every page.
+        visitorData: mutation(async (visitorIds, requestedBy = null) => {
+            const ids = visitorIdList(visitorIds);
+            const marks = ids.map(() => '?').join(', ');
+            const events = await driver.query(
+                `SELECT * FROM analytics_events WHERE visitor_id IN (${marks}) ORDER BY occurred_at`, ids
+            );
+            const searches = await driver.query(
+                `SELECT * FROM search_queries WHERE visitor_id IN (${marks}) ORDER BY occurred_at`, ids
+            );
+            // The log is append-only, so it keeps how many ids were looked up, never the ids themselves.
+            await audit.record({
+                actor: requestedBy, action: 'privacy.export', targetType: 'visitor',
+                summary: `Exported the analytics data of ${ids.length} visitor ${ids.length === 1 ? 'id' : 'ids'}`,
+                details: { visitorIds: ids.length, events: events.length, searches: searches.length },
+            });
+            return {
+                visitorIds: ids,
+                generatedAt: now(),
+                events: events.map((row) => ({
+                    type: row.type, path: row.path, articleId: row.article_id, section: row.section, referrer: row.referrer,
+                    device: row.device, sessionId: row.session_id, visitorId: row.visitor_id, occurredAt: row.occurred_at,
+                })),
+                searches: searches.map((row) => ({
+                    query: row.query, category: row.category, author: row.author, results: Number(row.results),
+                    sessionId: row.session_id, visitorId: row.visitor_id, occurredAt: row.occurred_at,
+                })),
+            };
+        }),
+        // Deletes the events and searches under the given visitor ids. Their hits, and their count as
+        // a visitor on each day, stay in the daily totals with no id attached, so past reports don't change.
+        deleteVisitor: mutation(async (visitorIds, deletedBy = null) => {
+            const ids = visitorIdList(visitorIds);
+            const marks = ids.map(() => '?').join(', ');
+            const deleted = await driver.transaction(async (tx) => {
+                const [events] = await tx.query(`SELECT COUNT(*) AS count FROM analytics_events WHERE visitor_id IN (${marks})`, ids);
+                const [searches] = await tx.query(`SELECT COUNT(*) AS count FROM search_queries WHERE visitor_id IN (${marks})`, ids);
+                await rollUpEvents(tx, `visitor_id IN (${marks})`, ids);
+                await rollUpVisitors(tx, `visitor_id IN (${marks})`, ids);
+                await tx.execute(`DELETE FROM analytics_events WHERE visitor_id IN (${marks})`, ids);
+                await tx.execute(`DELETE FROM search_queries WHERE visitor_id IN (${marks})`, ids);
+                return { events: Number(events.count), searches: Number(searches.count) };
+            });
+            await audit.record({
+                actor: deletedBy, action: 'privacy.delete', targetType: 'visitor',
+                summary: `Deleted the analytics data of ${ids.length} visitor ${ids.length === 1 ? 'id' : 'ids'}`,
+                details: { visitorIds: ids.length, ...deleted },
+            });
+            return deleted;
+        }),
+    };
+
+    const repositories = { counters, audit, logins, sessions, staff, media, articles, editions, comments, analytics };
+
+    return {
+        ...repositories,
+        backend: driver.label,
+
+        // Calls `method` (e.g. 'counters.get') now and again after every change, like onSnapshot.
+        // Returns an unsubscribe function.
+        watch(method, args, onChange, onError) {
+            const [repository, name] = method.split('.');
+            const run = () => {
+                repositories[repository][name](...args).then(onChange, onError);
+            };
+            watchers.add(run);
+            run();
+            return () => watchers.delete(run);
+        },
+    };
+}
+
+// --- Remote Storage ---
+
+// The same interface as createStorage, backed by the school server's /rpc endpoint (server.js).
+// `getToken` returns the caller's Firebase ID token, or null for anonymous visitors, and
+// `getSessionId` the id of the staff session this device opened (see sessions.start). Watches poll.
+export function createRemoteStorage(baseUrl, { getToken, getSessionId, pollInterval = 5000 } = {}) {
+    const post = async (path, headers, body) => {
+        const token = getToken ? await getToken() : null;
+        const sessionId = getSessionId ? getSessionId() : null;
+        const response = await fetch(`${baseUrl}${path}`, {
+            method: 'POST',
+            headers: {
+                ...headers,
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...(sessionId ? { 'X-Session-Id': sessionId } : {}),
+            },
+            body,
+        });
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new StorageError(payload.error || response.statusText, response.status);
+        }
+        return payload.result;
+    };
+    const call = (method, args) => post('/rpc', { 'Content-Type': 'application/json' }, JSON.stringify({ method, args }));
+
+    const storage = { backend: 'School server', remote: true };
+    for (const method of Object.keys(METHOD_ACCESS)) {
+        const [repository, name] = method.split('.');
+        storage[repository] = storage[repository] || {};
+        storage[repository][name] = (...args) => call(method, args);
+    }
+
+    // Signs a staff member in on the school server, which checks the password and throttles failures
+    // (see server.js). Resolves to { token, session }: a Firebase custom token to sign in with, and
+    // the session opened for this device.
+    storage.signIn = (email, password) => post('/login', { 'Content-Type': 'application/json' }, JSON.stringify({ email, password }));
+
+    // Sends a photo (a File or Blob) to the school server, which resizes it, strips its metadata and
+    // returns the media record. Only remote storage has this: a browser database can't process images.
+    storage.uploadImage = (file) => post('/media', {
+        'Content-Type': file.type,
+        'X-Filename': encodeURIComponent(file.name || 'photo'),
+    }, file);
+
+    storage.watch = (method, args, onChange, onError) => {
+        let stopped = false;
+        const run = () => {
+            call(method, args)
+                .then((result) => { if (!stopped) onChange(result); }, onError)
+                .finally(() => { if (!stopped) timer = setTimeout(run, pollInterval); });
+        };
+        let timer = null;
+        run();
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+        };
+    };
+
+    return storage;
+}
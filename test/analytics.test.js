@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openTestStorage, addStaff, daysAgo } from './helpers.js';
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0';
+const STORY = 'robotics-regional-championship';
+const ALL_TIME = { from: '2000-01-01T00:00:00.000Z', to: '2100-01-01T00:00:00.000Z' };
+
+// A raw event `days` days ago, written directly so tests don't have to wait.
+let eventCount = 0;
+const insertEvent = (driver, days, { visitorId = 'visitor-1', type = 'article_open', bot = false } = {}) => driver.execute(
+    `INSERT INTO analytics_events (id, type, path, article_id, section, referrer, device, session_id, visitor_id, is_bot, counted, occurred_at)
+     VALUES (?, ?, '/article/x', ?, 'News', NULL, 'desktop', ?, ?, ?, 1, ?)`,
+    [`old-${eventCount++}`, type, STORY, `session-${visitorId}`, visitorId, bot ? 1 : 0, daysAgo(days)]
+);
+
+// Every report over `range`, to compare before and after a purge.
+const reports = async (storage, range) => ({
+    summary: await storage.analytics.summary(range),
+    topArticles: await storage.analytics.topArticles(range),
+    sections: await storage.analytics.sectionTotals(range),
+    series: await storage.analytics.series(range, 'month'),
+});
+
+test('page views leave out bots and repeats in the same tab', async () => {
+    const { storage } = await openTestStorage();
+    const view = { type: 'page_view', path: '/', sessionId: 'tab-1', visitorId: 'visitor-1', userAgent: BROWSER };
+    assert.deepEqual(await storage.analytics.record(view), { counted: true });
+    assert.deepEqual(await storage.analytics.record(view), { counted: false });
+    assert.deepEqual(await storage.analytics.record({ ...view, sessionId: 'tab-2', userAgent: 'Googlebot/2.1' }), { counted: false });
+
+    const summary = await storage.analytics.summary(ALL_TIME);
+    assert.deepEqual(summary, { hits: 3, views: 1, botHits: 1, uniqueVisitors: 1 });
+});
+
+test('aggregate hits are counted without storing any ids', async () => {
+    const { storage, driver } = await openTestStorage();
+    const view = { type: 'article_open', articleId: STORY, section: 'News', path: '/a', aggregate: true, userAgent: BROWSER };
+    assert.deepEqual(await storage.analytics.record({ ...view, sessionId: 'leak', visitorId: 'leak' }), { counted: true });
+    assert.deepEqual(await storage.analytics.record({ ...view, repeat: true }), { counted: false });
+    await storage.analytics.recordSearch({ query: 'prom', results: 0, aggregate: true, sessionId: 'leak', visitorId: 'leak' });
+
+    assert.deepEqual(await driver.query('SELECT id FROM analytics_events'), []);
+    assert.deepEqual(await driver.query('SELECT session_id, visitor_id FROM search_queries'), [{ session_id: null, visitor_id: null }]);
+    const summary = await storage.analytics.summary(ALL_TIME);
+    assert.deepEqual(summary, { hits: 2, views: 1, botHits: 0, uniqueVisitors: 0 });
+    assert.deepEqual((await storage.analytics.topArticles(ALL_TIME)).map((row) => [row.articleId, row.views]), [[STORY, 1]]);
+});
+
+test('expired events are rolled up without changing the reports', async () => {
+    const { storage, driver } = await openTestStorage();
+    await addStaff(storage);
+    await insertEvent(driver, 200);
+    await insertEvent(driver, 200, { visitorId: 'visitor-2' });
+    await insertEvent(driver, 200, { visitorId: 'crawler', bot: true });
+    await insertEvent(driver, 10);
+    const range = { from: `${daysAgo(365).slice(0, 10)}T00:00:00.000Z`, to: daysAgo(-1) };
+    const before = await reports(storage, range);
+
+    await storage.analytics.setRetention(30, 'advisor');
+    assert.equal((await storage.analytics.purgeExpired()).events, 3);
+    assert.equal((await storage.analytics.purgeExpired()).events, 0);
+
+    // Only unique visitors change: once rolled up, they are added up day by day, so visitor-1 (who
+    // came on two different days) now counts twice.
+    const after = await reports(storage, range);
+    assert.deepEqual({ ...after, summary: { ...after.summary, uniqueVisitors: 0 } }, { ...before, summary: { ...before.summary, uniqueVisitors: 0 } });
+    assert.equal(before.summary.uniqueVisitors, 2);
+    assert.equal(after.summary.uniqueVisitors, 3);
+    assert.equal((await driver.query('SELECT COUNT(*) AS n FROM analytics_events'))[0].n, 1);
+});
+
+test('the retention period stays within its bounds', async () => {
+    const { storage } = await openTestStorage();
+    assert.equal(await storage.analytics.retention(), 90);
+    await assert.rejects(storage.analytics.setRetention(3), { status: 400 });
+    await assert.rejects(storage.analytics.setRetention('soon'), { status: 400 });
+    assert.equal(await storage.analytics.setRetention(365), 365);
+});
+
+test('a visitor\'s data can be exported and then deleted', async () => {
+    const { storage, driver } = await openTestStorage();
+    await addStaff(storage);
+    await insertEvent(driver, 5);
+    await insertEvent(driver, 5, { visitorId: 'visitor-2' });
+    await storage.analytics.recordSearch({ query: 'prom', results: 0, sessionId: 's', visitorId: 'visitor-1' });
+
+    const data = await storage.analytics.visitorData('visitor-1, visitor-1', 'advisor');
+    assert.deepEqual(data.visitorIds, ['visitor-1']);
+    assert.equal(data.events.length, 1);
+    assert.equal(data.searches.length, 1);
+    await assert.rejects(storage.analytics.visitorData('', 'advisor'), { status: 400 });
+
+    const summaryBefore = await storage.analytics.summary(ALL_TIME);
+    assert.equal(summaryBefore.uniqueVisitors, 2);
+    assert.deepEqual(await storage.analytics.deleteVisitor(['visitor-1'], 'advisor'), { events: 1, searches: 1 });
+    const after = await storage.analytics.visitorData(['visitor-1'], 'advisor');
+    assert.deepEqual([after.events, after.searches], [[], []]);
+    assert.deepEqual(await storage.analytics.summary(ALL_TIME), summaryBefore);
+
+    const { entries } = await storage.audit.search({ area: 'privacy' });
+    assert.ok(entries.length >= 3);
+    assert.ok(entries.every((entry) => !JSON.stringify(entry).includes('visitor-1')));
+});
+
+test('a range that starts mid-day counts the whole day from every source', async () => {
+    const { storage, driver } = await openTestStorage();
+    await addStaff(storage);
+    await insertEvent(driver, 200);
+    await insertEvent(driver, 10);
+    await storage.analytics.setRetention(30, 'advisor');
+    await storage.analytics.purgeExpired();
+
+    // Both days start after `from` once it is rounded back to midnight, and the rolled-up day
+    // counts the same as the raw one.
+    const day = daysAgo(200).slice(0, 10);
+    const range = { from: `${day}T18:00:00.000Z`, to: daysAgo(0) };
+    const summary = await storage.analytics.summary(range);
+    assert.equal(summary.hits, 2);
+    assert.equal(summary.uniqueVisitors, 2);
+    const days = await storage.analytics.daily(range);
+    assert.equal(days[0].date, day);
+    assert.equal(days[0].hits, 1);
+    assert.equal(days.at(-1).date, daysAgo(0).slice(0, 10));
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLocalAuth } from '../auth.js';
+
+// A store that outlives one auth instance, like localStorage across page loads.
+const memoryStore = () => {
+    let saved = null;
+    return { load: () => (saved ? JSON.parse(saved) : null), save: (state) => { saved = JSON.stringify(state); } };
+};
+
+const ADMIN = { uid: 'local-admin', email: 'admin@localhost', password: 'correct horse' };
+
+test('local accounts sign in with the right password only', async () => {
+    const auth = createLocalAuth({ accounts: [ADMIN] });
+    await assert.rejects(auth.signIn('admin@localhost', 'wrong'), { code: 'auth/invalid-credential' });
+    await assert.rejects(auth.signIn('nobody@localhost', 'correct horse'), { code: 'auth/invalid-credential' });
+    const user = await auth.signIn(' Admin@Localhost', 'correct horse');
+    assert.equal(user.uid, 'local-admin');
+    assert.equal(user.isAnonymous, false);
+    await auth.signOut();
+    assert.equal(auth.currentUser, null);
+});
+
+test('anonymous visitors keep one uid', async () => {
+    const auth = createLocalAuth();
+    const first = await auth.signInAnonymously();
+    assert.equal(first.isAnonymous, true);
+    assert.equal((await auth.signInAnonymously()).uid, first.uid);
+});
+
+test('new accounts and password resets', async () => {
+    const auth = createLocalAuth({ accounts: [ADMIN] });
+    const uid = await auth.createUser('writer@school.org', 'secret123');
+    await assert.rejects(auth.createUser('writer@school.org', 'secret123'), { code: 'auth/email-already-in-use' });
+    await assert.rejects(auth.createUser('editor@school.org', '123'), { code: 'auth/weak-password' });
+    assert.equal(auth.currentUser, null, 'creating an account does not sign in as it');
+
+    const temporary = await auth.sendPasswordReset('writer@school.org');
+    await assert.rejects(auth.signIn('writer@school.org', 'secret123'));
+    assert.equal((await auth.signIn('writer@school.org', temporary)).uid, uid);
+});
+
+test('accounts and the session survive a reload; seeded accounts are not reset', async () => {
+    const store = memoryStore();
+    const first = createLocalAuth({ store, accounts: [ADMIN] });
+    await first.signIn('admin@localhost', 'correct horse');
+
+    const reloaded = createLocalAuth({ store, accounts: [{ ...ADMIN, password: 'something else' }] });
+    const user = await new Promise((resolve) => reloaded.onChange(resolve));
+    assert.equal(user.uid, 'local-admin');
+    await assert.rejects(reloaded.signIn('admin@localhost', 'something else'));
+});
+
+test('a seeded account without a password gets a random one, reported once', async () => {
+    const store = memoryStore();
+    const seeded = [];
+    const onSeeded = (email, password) => seeded.push({ email, password });
+    const first = createLocalAuth({ store, accounts: [{ uid: 'local-admin', email: 'admin@localhost' }], onSeeded });
+    await first.signIn('admin@localhost', 'wrong').catch(() => {});
+    assert.equal(seeded.length, 1);
+    assert.equal(seeded[0].email, 'admin@localhost');
+    assert.ok(seeded[0].password.length >= 12);
+    assert.ok(!JSON.stringify(store.load()).includes(seeded[0].password), 'only the hash is stored');
+
+    const reloaded = createLocalAuth({ store, accounts: [{ uid: 'local-admin', email: 'admin@localhost' }], onSeeded });
+    assert.equal((await reloaded.signIn('admin@localhost', seeded[0].password)).uid, 'local-admin');
+    assert.equal(seeded.length, 1);
+});
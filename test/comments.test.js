@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { COMMENT_RATE_LIMIT } from '../storage.js';
+import { openTestStorage } from './helpers.js';
+
+const STORY = 'robotics-regional-championship';
+const comment = (body, commenterId = 'reader-1') => ({ authorName: 'Sam', body, commenterId });
+
+test('comments wait for approval before they are shown', async () => {
+    const { storage } = await openTestStorage();
+    const posted = await storage.comments.submit(STORY, comment('Great job!'));
+    assert.equal(posted.status, 'pending');
+    assert.deepEqual(await storage.comments.listApproved(STORY), []);
+
+    await storage.comments.approve(posted.id, 'editor');
+    assert.deepEqual((await storage.comments.listApproved(STORY)).map((shown) => shown.body), ['Great job!']);
+    await assert.rejects(storage.comments.reject(posted.id, 'editor'), { status: 409 });
+});
+
+test('the word filter catches disguised words but not innocent ones', async () => {
+    const { storage } = await openTestStorage();
+    await assert.rejects(storage.comments.submit(STORY, comment('This is SH1Tty')), { status: 422 });
+    assert.equal((await storage.comments.submit(STORY, comment('Dickens was great'))).status, 'pending');
+
+    assert.deepEqual(await storage.comments.setBlockedWords(['Heck', 'two words', 'heck', 'darn'], 'editor'), ['darn', 'heck']);
+    await assert.rejects(storage.comments.submit(STORY, comment('what the hecking', 'reader-2')), { status: 422 });
+});
+
+test('readers are rate limited', async () => {
+    const { storage } = await openTestStorage();
+    for (let i = 0; i < COMMENT_RATE_LIMIT.count; i++) await storage.comments.submit(STORY, comment(`Comment ${i}`));
+    await assert.rejects(storage.comments.submit(STORY, comment('One more')), { status: 429 });
+    assert.equal((await storage.comments.submit(STORY, comment('Someone else', 'reader-2'))).status, 'pending');
+});
+
+test('banning rejects the reader\'s pending comments and stops new ones until unbanned', async () => {
+    const { storage } = await openTestStorage();
+    const first = await storage.comments.submit(STORY, comment('hi', 'troll'));
+    await storage.comments.submit(STORY, comment('hi again', 'troll'));
+    await storage.comments.submit(STORY, comment('Nice work', 'reader-1'));
+
+    await storage.comments.ban(first.id, 'editor');
+    assert.deepEqual((await storage.comments.queue()).map((queued) => queued.body), ['Nice work']);
+    await assert.rejects(storage.comments.submit(STORY, comment('back', 'troll')), { status: 403 });
+
+    await storage.comments.unban('troll', 'editor');
+    assert.equal((await storage.comments.submit(STORY, comment('sorry', 'troll'))).status, 'pending');
+});
+
+test('closing comments stops new ones', async () => {
+    const { storage } = await openTestStorage();
+    const story = await storage.articles.setCommentsEnabled(STORY, false, 'editor');
+    assert.equal(story.commentsEnabled, false);
+    await assert.rejects(storage.comments.submit(STORY, comment('ok')), { status: 403 });
+});
@@ -0,0 +1,25 @@
+// Shared setup for the storage tests: a fresh in-memory SQLite database (sql.js) per test, the same
+// backend the app uses in offline mode, with the demo stories already in it.
+
+import initSqlJs from 'sql.js';
+import { openStorage, createSqliteDriver } from '../storage.js';
+
+const SQL = await initSqlJs();
+
+// { storage, driver }; the driver is for arranging rows a test can't create through storage, such
+// as events from months ago.
+export async function openTestStorage() {
+    const driver = createSqliteDriver(new SQL.Database());
+    const storage = await openStorage(driver);
+    return { storage, driver };
+}
+
+// One staff member of each working role: 'advisor', 'editor' and 'writer' (uids match the roles).
+export async function addStaff(storage) {
+    await storage.staff.save('advisor', { email: 'advisor@school.org', displayName: 'Ms. Advisor', role: 'advisor' });
+    await storage.staff.save('editor', { email: 'editor@school.org', displayName: 'Eddie Editor', role: 'editor', invitedBy: 'advisor' });
+    await storage.staff.save('writer', { email: 'writer@school.org', displayName: 'Wanda Writer', role: 'writer', invitedBy: 'advisor' });
+}
+
+// An ISO timestamp `days` days before now.
+export const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LOGIN_THROTTLE, loginThrottleMessage } from '../storage.js';
+import { openTestStorage, addStaff } from './helpers.js';
+
+const client = { userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) Chrome/120.0 Safari/537.36', ip: '10.0.0.5' };
+
+// Failed sign-ins one a minute, the last `minutesAgo` ago, written directly so tests don't have to
+// sit out the waits between them.
+const insertFailures = async (driver, email, count, minutesAgo = 1) => {
+    for (let i = count - 1; i >= 0; i--) {
+        await driver.execute(
+            "INSERT INTO login_attempts (id, email, outcome, occurred_at) VALUES (?, ?, 'failure', ?)",
+            [crypto.randomUUID(), email, new Date(Date.now() - (minutesAgo + i) * 60000).toISOString()]
+        );
+    }
+};
+
+test('the first failed sign-ins are free, then each try has to wait longer', async () => {
+    const { storage } = await openTestStorage();
+    await addStaff(storage);
+    for (let i = 0; i < LOGIN_THROTTLE.freeAttempts - 1; i++) {
+        assert.equal((await storage.logins.recordFailure('writer@school.org', client)).retryAfter, 0);
+    }
+    const waiting = await storage.logins.recordFailure('Writer@School.org ', client);
+    assert.equal(waiting.locked, false);
+    assert.equal(waiting.retryAfter, LOGIN_THROTTLE.delaySeconds);
+    assert.match(loginThrottleMessage(waiting), /Wait 5 seconds/);
+});
+
+test('failures while an email has to wait are not counted', async () => {
+    const { storage } = await openTestStorage();
+    await addStaff(storage);
+    for (let i = 0; i < LOGIN_THROTTLE.freeAttempts; i++) await storage.logins.recordFailure('writer@school.org', client);
+    for (let i = 0; i < LOGIN_THROTTLE.lockAfter; i++) {
+        assert.equal((await storage.logins.recordFailure('writer@school.org', client)).locked, false);
+    }
+    assert.equal((await storage.logins.status('writer@school.org')).retryAfter, LOGIN_THROTTLE.delaySeconds);
+});
+
+test('too many failures lock the account until an advisor unlocks it', async () => {
+    const { storage, driver } = await openTestStorage();
+    await addStaff(storage);
+    await insertFailures(driver, 'writer@school.org', LOGIN_THROTTLE.lockAfter - 1, 3);
+    const status = await storage.logins.recordFailure('writer@school.org', client);
+    assert.equal(status.locked, true);
+    const again = await storage.logins.recordFailure('writer@school.org', client);
+    assert.equal(again.lockedUntil, status.lockedUntil, 'later failures do not extend the lock');
+    assert.deepEqual((await storage.logins.locked()).map((lockout) => lockout.uid), ['writer']);
+    await assert.rejects(storage.sessions.start('writer', client), { status: 423 });
+
+    await storage.logins.unlock('writer@school.org', 'advisor');
+    assert.deepEqual(await storage.logins.locked(), []);
+    assert.ok(await storage.sessions.start('writer', client));
+});
+
+test('sessions are opened per device and can be signed out from elsewhere', async () => {
+    const { storage } = await openTestStorage();
+    await addStaff(storage);
+    const laptop = await storage.sessions.start('writer', client);
+    const phone = await storage.sessions.start('writer', { userAgent: 'Mozilla/5.0 (Android 14) Firefox/120.0' });
+    assert.equal(laptop.device, 'Chrome on macOS');
+    assert.equal(await storage.sessions.verify('writer', laptop.id), true);
+    assert.equal(await storage.sessions.verify('editor', laptop.id), false);
+
+    await storage.sessions.revoke('writer', phone.id, 'writer');
+    assert.equal(await storage.sessions.verify('writer', phone.id), false);
+    assert.equal((await storage.sessions.get('writer', phone.id)).revokeReason, 'revoked');
+
+    await storage.sessions.end('writer', laptop.id);
+    assert.deepEqual(await storage.sessions.list('writer'), []);
+    await assert.rejects(storage.sessions.start('stranger', client), { status: 403 });
+});
+
+test('deactivating an account signs it out everywhere', async () => {
+    const { storage } = await openTestStorage();
+    await addStaff(storage);
+    const session = await storage.sessions.start('writer', client);
+    await storage.staff.save('writer', { active: false, updatedBy: 'advisor' });
+    assert.equal(await storage.sessions.verify('writer', session.id), false);
+    assert.equal((await storage.sessions.get('writer', session.id)).revokeReason, 'deactivated');
+});
+
+test('the audit log records sign-ins and cannot be changed', async () => {
+    const { storage, driver } = await openTestStorage();
+    await addStaff(storage);
+    await storage.logins.recordFailure('writer@school.org', client);
+    await storage.sessions.start('writer', client);
+
+    const { entries } = await storage.audit.search({ area: 'auth' });
+    assert.deepEqual(entries.map((entry) => entry.action).sort(), ['auth.login', 'auth.login_failed']);
+    await assert.rejects(driver.execute("UPDATE audit_log SET summary = 'edited'"));
+    await assert.rejects(driver.execute('DELETE FROM audit_log'));
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { editionPdf, editionPdfFilename } from '../print.js';
+
+const edition = { volume: 12, issue: 3, title: 'Homecoming', publishedOn: '2025-03-14' };
+const story = (id, paragraphs) => ({
+    id, title: `Story ${id}`, author: 'Wanda Writer', category: 'News',
+    body: Array.from({ length: paragraphs }, (_, i) => `Paragraph ${i} with **bold** text and a [link](https://example.org).`).join('\n\n'),
+});
+
+test('an edition exports as a PDF that runs onto more pages as it grows', () => {
+    const short = editionPdf({ edition, articles: [story('lead', 3)] });
+    assert.equal(short.getNumberOfPages(), 1);
+    assert.ok(Buffer.from(short.output('arraybuffer')).subarray(0, 5).equals(Buffer.from('%PDF-')));
+
+    const long = editionPdf({ edition, articles: [story('lead', 40), story('second', 60), story('third', 60)] });
+    assert.ok(long.getNumberOfPages() > 1);
+    assert.equal(editionPdfFilename(edition), 'the-current-vol-12-issue-3.pdf');
+});
+
+test('an empty edition still exports', () => {
+    assert.equal(editionPdf({ edition, articles: [] }).getNumberOfPages(), 1);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { searchTerms } from '../storage.js';
+import { openTestStorage } from './helpers.js';
+
+test('search terms are lowercased, unaccented, singular and without stop words', () => {
+    assert.deepEqual(searchTerms("Volleyball's Results! The café, classes & buses"), ['volleyball', 'result', 'cafe', 'class', 'buse']);
+});
+
+test('a word matches longer words it starts with', async () => {
+    const { storage } = await openTestStorage();
+    const result = await storage.articles.search('volley');
+    assert.deepEqual(result.terms, ['volley']);
+    assert.deepEqual(result.articles.map((article) => article.slug), ['volleyball-undefeated-season-start']);
+});
+
+test('every word must match, and filters narrow the results', async () => {
+    const { storage } = await openTestStorage();
+    assert.equal((await storage.articles.search('team')).total, 2);
+    const sports = await storage.articles.search('team', { category: 'Sports' });
+    assert.deepEqual(sports.articles.map((article) => article.slug), ['volleyball-undefeated-season-start']);
+    assert.equal((await storage.articles.search('volleyball robotics')).total, 0);
+});
+
+test('only published stories are found, once they are indexed on save', async () => {
+    const { storage } = await openTestStorage();
+    const article = await storage.articles.save(null, {
+        title: 'Volleyball results recap', summary: 'S', body: 'Text', author: 'A', category: 'Sports',
+    });
+    assert.equal((await storage.articles.search('recap')).total, 0);
+    await storage.articles.submit(article.id, {});
+    await storage.articles.approve(article.id, {});
+    await storage.articles.publish(article.id, {});
+    const found = await storage.articles.search('volleyball result');
+    assert.deepEqual(found.articles.map((match) => match.slug), ['volleyball-results-recap']);
+});
+
+test('searches are logged once per tab and reported by how often they come up empty', async () => {
+    const { storage } = await openTestStorage();
+    const search = { userAgent: 'Mozilla/5.0 Firefox/120.0' };
+    assert.deepEqual(await storage.analytics.recordSearch({ ...search, query: 'Volleyball results', results: 2, sessionId: 'tab-1' }), { logged: true });
+    assert.deepEqual(await storage.analytics.recordSearch({ ...search, query: 'volleyball result', results: 2, sessionId: 'tab-1' }), { logged: false });
+    await storage.analytics.recordSearch({ ...search, query: 'prom', results: 0, sessionId: 'tab-2' });
+
+    const range = { from: '2000-01-01T00:00:00.000Z', to: '2100-01-01T00:00:00.000Z' };
+    assert.deepEqual((await storage.analytics.topSearches(range)).map((row) => row.terms).sort(), ['prom', 'volleyball result']);
+    assert.deepEqual((await storage.analytics.zeroResultSearches(range)).map((row) => row.terms), ['prom']);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openTestStorage, addStaff } from './helpers.js';
+
+const draft = { title: 'Homecoming Court Announced', summary: 'Meet the court.', body: 'First line\nSecond line', author: 'Wanda Writer', category: 'News' };
+
+test('a story moves from draft to published and back through the workflow', async () => {
+    const { storage } = await openTestStorage();
+    await addStaff(storage);
+    let article = await storage.articles.save(null, { ...draft, updatedBy: 'writer' });
+    assert.equal(article.status, 'draft');
+
+    article = await storage.articles.submit(article.id, { updatedBy: 'writer' });
+    assert.equal(article.status, 'submitted');
+    article = await storage.articles.requestChanges(article.id, { updatedBy: 'editor', note: 'Add quotes.' });
+    assert.equal(article.status, 'changes_requested');
+    await storage.articles.submit(article.id, { updatedBy: 'writer' });
+    await storage.articles.approve(article.id, { updatedBy: 'editor' });
+    article = await storage.articles.publish(article.id, { updatedBy: 'editor' });
+    assert.equal(article.status, 'published');
+    assert.ok(article.publishedAt);
+
+    const { articles } = await storage.articles.listPublished({ category: 'News' });
+    assert.ok(articles.some((listed) => listed.id === article.id));
+
+    article = await storage.articles.archive(article.id, { updatedBy: 'editor' });
+    assert.equal(article.status, 'archived');
+    article = await storage.articles.restore(article.id, { updatedBy: 'editor' });
+    assert.equal(article.status, 'draft');
+});
+
+test('steps that are out of order are refused', async () => {
+    const { storage } = await openTestStorage();
+    const article = await storage.articles.save(null, draft);
+    await assert.rejects(storage.articles.publish(article.id, {}), { status: 409 });
+    await assert.rejects(storage.articles.approve(article.id, {}), { status: 409 });
+});
+
+test('saving cannot change the status; only workflow steps can', async () => {
+    const { storage } = await openTestStorage();
+    const article = await storage.articles.save(null, draft);
+    const saved = await storage.articles.save(article.id, { body: 'Changed', status: 'published' });
+    assert.equal(saved.status, 'draft');
+    assert.equal(saved.body, 'Changed');
+});
+
+test('scheduled stories go live once their time comes', async () => {
+    const { storage } = await openTestStorage();
+    let article = await storage.articles.save(null, draft);
+    await storage.articles.submit(article.id, {});
+    await storage.articles.approve(article.id, {});
+    await assert.rejects(storage.articles.schedule(article.id, { scheduledFor: new Date(Date.now() - 1000).toISOString() }));
+
+    article = await storage.articles.schedule(article.id, { scheduledFor: new Date(Date.now() + 50).toISOString() });
+    assert.equal(article.status, 'scheduled');
+    assert.equal(await storage.articles.publishDue(), 0);
+    await new Promise((resolve) => setTimeout(resolve, 80));
+    assert.equal(await storage.articles.publishDue(), 1);
+    assert.equal((await storage.articles.get(article.id)).status, 'published');
+});
+
+test('every save is a revision that can be restored', async () => {
+    const { storage } = await openTestStorage();
+    const article = await storage.articles.save(null, draft);
+    await storage.articles.save(article.id, { body: 'Rewritten' });
+    const revisions = await storage.articles.revisions(article.id);
+    assert.deepEqual(revisions.map((revision) => revision.revision).sort(), [1, 2]);
+
+    const restored = await storage.articles.restoreRevision(article.id, 1, null);
+    assert.equal(restored.body, draft.body);
+    assert.equal((await storage.articles.revisions(article.id)).length, 3);
+});
+
+test('a save keeps who created the story and never sets its publish date', async () => {
+    const { storage } = await openTestStorage();
+    await addStaff(storage);
+    const article = await storage.articles.save(null, { ...draft, updatedBy: 'writer', createdBy: 'editor', publishedAt: '2020-01-01T00:00:00.000Z' });
+    assert.equal(article.createdBy, 'writer');
+    assert.equal(article.publishedAt, null);
+
+    const saved = await storage.articles.save(article.id, { body: 'Changed', updatedBy: 'editor', createdBy: 'editor', publishedAt: '2020-01-01T00:00:00.000Z' });
+    assert.equal(saved.createdBy, 'writer');
+    assert.equal(saved.publishedAt, null);
+});
+
+test('publishing can backdate a story but not date it in the future', async () => {
+    const { storage } = await openTestStorage();
+    const article = await storage.articles.save(null, draft);
+    await storage.articles.submit(article.id, {});
+    await storage.articles.approve(article.id, {});
+    await assert.rejects(storage.articles.publish(article.id, { publishedAt: new Date(Date.now() + 60000).toISOString() }));
+
+    const published = await storage.articles.publish(article.id, { publishedAt: '2024-09-01T12:00:00.000Z' });
+    assert.equal(published.publishedAt, '2024-09-01T12:00:00.000Z');
+});
+
+test('saves that overlap each other and other transactions all go through', async () => {
+    const { storage } = await openTestStorage();
+    await addStaff(storage);
+    const [first, second] = await Promise.all([
+        storage.articles.save(null, { ...draft, updatedBy: 'writer' }),
+        storage.articles.save(null, { ...draft, title: 'Spirit Week Schedule', updatedBy: 'writer' }),
+        storage.analytics.purgeExpired(),
+        storage.articles.publishDue(),
+    ]);
+    assert.notEqual(first.id, second.id);
+    assert.equal((await storage.articles.revisions(first.id)).length, 1);
+    assert.equal((await storage.articles.revisions(second.id)).length, 1);
+});